@@ -0,0 +1,313 @@
+/**
+ * API Contract
+ *
+ * This module defines the request/response contract of the Lambda, so API Gateway
+ * callers get validated input and machine-readable errors instead of silent fallbacks.
+ *
+ * Supported events:
+ * - API Gateway REST API (payload format 1.0): { httpMethod, body, isBase64Encoded, ... }
+ * - API Gateway HTTP API (payload format 2.0): { version: '2.0', requestContext: { http: { method } }, body, ... }
+ * - Direct invocations (aws lambda invoke, EventBridge constant input): the event itself is the request
+ * - EventBridge events ({ source, 'detail-type', detail, version: '0', ... }): the detail object is the
+ *   request, so a plain scheduled event runs in fetch mode
+ *
+ * Request (API_VERSION 1), sent as the JSON body or as the direct invocation event:
+ * { version?: 1, mode?: 'fetch' | 'request' | 'lookup' | 'remap' | 'retryFailed' | 'manual', mealNames?: string[],
+ *   useCache?: boolean, persist?: boolean, dryRun?: boolean, lookbackDays?, startDate?, endDate?, incremental?,
+ *   ...remap, retryFailed and manual options }
+ * Without mode, requests with mealNames run in request mode ('lookup' with useCache) and the rest in fetch mode.
+ * remap, retryFailed and manual (ADMIN_MODES) are only accepted from direct invocations, and so are
+ * the fetch-mode backfill and cursor options (ADMIN_FETCH_OPTIONS).
+ *
+ * Every response body carries apiVersion. Errors add { error, code, details? }:
+ * - 400: Malformed request (INVALID_JSON, INVALID_BODY, INVALID_FETCH_OPTIONS, INVALID_REMAP_OPTIONS,
+ *   INVALID_RETRY_OPTIONS, INVALID_MANUAL_MAPPING)
+ * - 403: remap, retryFailed or manual mode, or startDate, endDate or incremental, requested over API Gateway
+ *   (ADMIN_MODE_FORBIDDEN)
+ * - 404: No manual mapping to clear (MAPPING_NOT_FOUND)
+ * - 413: Request too large (PAYLOAD_TOO_LARGE, TOO_MANY_MEAL_NAMES)
+ * - 422: Well-formed but unacceptable values (UNSUPPORTED_VERSION, INVALID_MODE, INVALID_MEAL_NAMES,
+ *   UNKNOWN_IMAGE, DIET_MISMATCH)
+ * - 500: INTERNAL_ERROR
+ */
+
+const API_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+const MODES = ['fetch', 'request', 'lookup', 'remap', 'retryFailed', 'manual'];
+const MEAL_NAME_MODES = ['request', 'lookup'];
+// Bulk and manual writers: only direct invocations (IAM-authorized) may run them, never API Gateway callers
+const ADMIN_MODES = ['remap', 'retryFailed', 'manual'];
+// Fetch options that backfill arbitrary ranges or move the incremental cursor
+const ADMIN_FETCH_OPTIONS = ['startDate', 'endDate', 'incremental'];
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_BODY: 'INVALID_BODY',
+  INVALID_FETCH_OPTIONS: 'INVALID_FETCH_OPTIONS',
+  INVALID_REMAP_OPTIONS: 'INVALID_REMAP_OPTIONS',
+  INVALID_RETRY_OPTIONS: 'INVALID_RETRY_OPTIONS',
+  INVALID_MANUAL_MAPPING: 'INVALID_MANUAL_MAPPING',
+  ADMIN_MODE_FORBIDDEN: 'ADMIN_MODE_FORBIDDEN',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  TOO_MANY_MEAL_NAMES: 'TOO_MANY_MEAL_NAMES',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_MODE: 'INVALID_MODE',
+  INVALID_MEAL_NAMES: 'INVALID_MEAL_NAMES',
+  UNKNOWN_IMAGE: 'UNKNOWN_IMAGE',
+  DIET_MISMATCH: 'DIET_MISMATCH',
+  MAPPING_NOT_FOUND: 'MAPPING_NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Create an error for invalid invocation input (reported with its status code instead of 500)
+ */
+function createRequestError(message, { statusCode = 400, code = ERROR_CODES.INVALID_BODY, details } = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Detect the event format: 'http-v2', 'http-v1' or 'direct'
+ */
+function getEventFormat(event) {
+  if (event?.version === '2.0' && event.requestContext?.http) {
+    return 'http-v2';
+  }
+  if (event?.httpMethod) {
+    return 'http-v1';
+  }
+  return 'direct';
+}
+
+/**
+ * Check whether a direct invocation is an EventBridge event envelope
+ * The envelope's own fields (version '0', id, time, ...) are not request options.
+ */
+function isEventBridgeEvent(event) {
+  return typeof event?.source === 'string' && typeof event['detail-type'] === 'string';
+}
+
+/**
+ * Parse a JSON request body, enforcing the size limit
+ */
+function parseBody(body, isBase64Encoded, maxBodyBytes) {
+  const raw = isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+  const size = Buffer.byteLength(raw, 'utf8');
+  if (size > maxBodyBytes) {
+    throw createRequestError(`Request body is ${size} bytes; the limit is ${maxBodyBytes}`, {
+      statusCode: 413,
+      code: ERROR_CODES.PAYLOAD_TOO_LARGE
+    });
+  }
+
+  if (raw.trim() === '') {
+    return {};
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    throw createRequestError(`Request body is not valid JSON: ${error.message}`, { code: ERROR_CODES.INVALID_JSON });
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw createRequestError('Request body must be a JSON object', { code: ERROR_CODES.INVALID_BODY });
+  }
+  return payload;
+}
+
+/**
+ * Normalize an invocation event into { format, method, payload }
+ * Direct invocations may still wrap the request in a JSON `body` string (as run-local.js does);
+ * EventBridge events carry it in `detail`.
+ */
+function parseInvocationEvent(event, { maxBodyBytes }) {
+  const format = getEventFormat(event);
+  const method = format === 'http-v2'
+    ? event.requestContext.http.method
+    : (format === 'http-v1' ? event.httpMethod : null);
+
+  if (format === 'direct' && isEventBridgeEvent(event)) {
+    const { detail } = event;
+    const isObject = detail && typeof detail === 'object' && !Array.isArray(detail);
+    return { format, method, payload: isObject ? detail : {} };
+  }
+
+  if (format === 'direct' && typeof event?.body !== 'string') {
+    return { format, method, payload: event || {} };
+  }
+
+  // Preflight requests carry no body worth validating
+  if (method === 'OPTIONS') {
+    return { format, method, payload: {} };
+  }
+
+  return { format, method, payload: parseBody(event.body || '', event.isBase64Encoded === true, maxBodyBytes) };
+}
+
+/**
+ * Validate requested meal names and return them trimmed
+ */
+function validateMealNames(mealNames, { maxMealNames, maxMealNameLength }) {
+  if (!Array.isArray(mealNames)) {
+    throw createRequestError('mealNames must be an array of strings', { code: ERROR_CODES.INVALID_BODY });
+  }
+  if (mealNames.length === 0) {
+    throw createRequestError('mealNames must contain at least one meal name', {
+      statusCode: 422,
+      code: ERROR_CODES.INVALID_MEAL_NAMES
+    });
+  }
+  if (mealNames.length > maxMealNames) {
+    throw createRequestError(`mealNames has ${mealNames.length} entries; the limit is ${maxMealNames}`, {
+      statusCode: 413,
+      code: ERROR_CODES.TOO_MANY_MEAL_NAMES,
+      details: { maxMealNames }
+    });
+  }
+
+  const invalid = [];
+  mealNames.forEach((mealName, index) => {
+    if (typeof mealName !== 'string') {
+      invalid.push({ index, reason: 'not_a_string' });
+    } else if (mealName.trim() === '') {
+      invalid.push({ index, reason: 'empty' });
+    } else if (mealName.trim().length > maxMealNameLength) {
+      invalid.push({ index, reason: 'too_long' });
+    }
+  });
+  if (invalid.length > 0) {
+    throw createRequestError(`${invalid.length} meal names are invalid (names must be non-empty strings of at most ${maxMealNameLength} characters)`, {
+      statusCode: 422,
+      code: ERROR_CODES.INVALID_MEAL_NAMES,
+      details: invalid
+    });
+  }
+
+  return mealNames.map(mealName => mealName.trim());
+}
+
+/**
+ * Validate the request version, mode, flags and meal names
+ * Returns { version, mode, mealNames, persist, dryRun }, with mealNames null in fetch mode.
+ * persist only applies to lookup mode; the other modes always store their results unless dryRun is set.
+ * format is the parseInvocationEvent() format, used to keep ADMIN_MODES off API Gateway.
+ */
+function validateRequestPayload(payload, limits, { format = 'direct' } = {}) {
+  const version = payload.version === undefined ? API_VERSION : Number(payload.version);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw createRequestError(`Unsupported API version "${payload.version}"`, {
+      statusCode: 422,
+      code: ERROR_CODES.UNSUPPORTED_VERSION,
+      details: { supportedVersions: SUPPORTED_VERSIONS }
+    });
+  }
+
+  for (const flag of ['useCache', 'persist', 'dryRun']) {
+    if (payload[flag] !== undefined && typeof payload[flag] !== 'boolean') {
+      throw createRequestError(`${flag} must be a boolean`, { code: ERROR_CODES.INVALID_BODY });
+    }
+  }
+
+  const hasMealNames = payload.mealNames !== undefined && payload.mealNames !== null;
+  let mode = payload.mode ?? (hasMealNames ? 'request' : 'fetch');
+  if (mode === 'request' && payload.useCache === true) {
+    mode = 'lookup';
+  }
+
+  if (!MODES.includes(mode)) {
+    throw createRequestError(`Unknown mode "${mode}"`, {
+      statusCode: 422,
+      code: ERROR_CODES.INVALID_MODE,
+      details: { modes: MODES }
+    });
+  }
+  if (MEAL_NAME_MODES.includes(mode) && !hasMealNames) {
+    throw createRequestError(`${mode} mode requires mealNames`, {
+      statusCode: 422,
+      code: ERROR_CODES.INVALID_MEAL_NAMES
+    });
+  }
+  if (!MEAL_NAME_MODES.includes(mode) && hasMealNames) {
+    throw createRequestError(`mealNames can't be used in ${mode} mode`, {
+      statusCode: 422,
+      code: ERROR_CODES.INVALID_MODE
+    });
+  }
+  if (ADMIN_MODES.includes(mode) && format !== 'direct') {
+    throw createRequestError(`${mode} mode is only available to direct invocations`, {
+      statusCode: 403,
+      code: ERROR_CODES.ADMIN_MODE_FORBIDDEN,
+      details: { adminModes: ADMIN_MODES }
+    });
+  }
+  const adminOptions = ADMIN_FETCH_OPTIONS.filter(option => payload[option] !== undefined);
+  if (mode === 'fetch' && adminOptions.length > 0 && format !== 'direct') {
+    throw createRequestError(`${adminOptions.join(', ')} ${adminOptions.length > 1 ? 'are' : 'is'} only available to direct invocations`, {
+      statusCode: 403,
+      code: ERROR_CODES.ADMIN_MODE_FORBIDDEN,
+      details: { adminOptions: ADMIN_FETCH_OPTIONS }
+    });
+  }
+
+  return {
+    version,
+    mode,
+    mealNames: hasMealNames ? validateMealNames(payload.mealNames, limits) : null,
+    persist: payload.persist === true,
+    dryRun: payload.dryRun === true
+  };
+}
+
+/**
+ * Response headers, including CORS for browser callers
+ */
+function buildHeaders(corsOrigin) {
+  return {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': corsOrigin,
+    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Api-Key'
+  };
+}
+
+/**
+ * Build a Lambda response in the shape both API Gateway payload formats accept
+ */
+function buildResponse(statusCode, body, { corsOrigin }) {
+  return {
+    statusCode,
+    headers: buildHeaders(corsOrigin),
+    body: JSON.stringify({ apiVersion: API_VERSION, ...body })
+  };
+}
+
+/**
+ * Build the response to a CORS preflight request
+ */
+function buildPreflightResponse({ corsOrigin }) {
+  return {
+    statusCode: 204,
+    headers: buildHeaders(corsOrigin),
+    body: ''
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  ADMIN_MODES,
+  ADMIN_FETCH_OPTIONS,
+  ERROR_CODES,
+  createRequestError,
+  parseInvocationEvent,
+  validateRequestPayload,
+  buildResponse,
+  buildPreflightResponse
+};
@@ -0,0 +1,217 @@
+/**
+ * Multilingual Diet Lexicon
+ *
+ * This module provides regional-language food terms for diet detection, so meal
+ * plan names like "anda bhurji", "murgh makhani", "kozhi varuval" or Devanagari
+ * text are classified as reliably as their English equivalents.
+ *
+ * Terms are grouped per language into the same groups vegetarian-detection.js uses:
+ * - meat, seafood, egg: Non-vegetarian ingredients (treated as strong indicators)
+ * - dairy, rootVegetables: Ingredients that rule out vegan / Jain diets
+ * - vegetarian: Vegetarian dish words that support a vegetarian classification
+ *
+ * Terms are written in common Latin transliteration. Spelling variants are folded by
+ * normalizeSpelling() on both the lexicon and the input ("jheenga" = "jhinga",
+ * "murgh" = "murg", "kheema" = "keema"), and Devanagari input is transliterated first.
+ */
+
+const DIET_LEXICON = {
+  hindi: {
+    meat: [
+      'murgh', 'murga', 'murgi', 'gosht', 'maas', 'maans', 'keema', 'qeema', 'bakra',
+      'raan', 'nalli', 'paya', 'kaleji', 'bheja', 'boti', 'shikampuri',
+      // English loanwords as transliterated from Devanagari (चिकन, फिश)
+      'chikan'
+    ],
+    seafood: ['machli', 'macchi', 'machi', 'jhinga', 'jhingri', 'phish'],
+    egg: ['anda', 'ande', 'andey', 'anday'],
+    dairy: ['doodh', 'dahi', 'makhan', 'makkhan', 'malai', 'chhena', 'ghee', 'ghi', 'chaach', 'khoya', 'mawa', 'rabdi'],
+    rootVegetables: ['pyaz', 'piyaz', 'lehsun', 'lahsun', 'aloo', 'alu', 'adrak', 'gajar', 'mooli', 'arbi', 'jimikand', 'shakarkandi'],
+    vegetarian: ['sabzi', 'sabji', 'bhaji', 'daal', 'chole', 'baingan', 'bhindi', 'gobi', 'gobhi', 'saag', 'shakahari']
+  },
+  marathi: {
+    meat: ['kombdi', 'kombadi', 'matan'],
+    seafood: ['kolambi', 'bangda', 'surmai', 'paplet', 'bombil', 'khekda', 'tisrya', 'kalwa'],
+    egg: ['andi'],
+    dairy: ['dudh', 'taak', 'loni'],
+    rootVegetables: ['kanda', 'lasun', 'batata'],
+    vegetarian: ['usal', 'amti', 'varan', 'pithla', 'zunka', 'bharit', 'bhakri']
+  },
+  tamil: {
+    meat: ['kozhi', 'aattu', 'mamsam', 'kari kuzhambu'],
+    seafood: ['meen', 'eral', 'nandu', 'vanjaram', 'nethili', 'sura', 'kanava'],
+    egg: ['muttai', 'mutta'],
+    dairy: ['paal', 'thayir', 'thayiru', 'mor', 'vennai', 'nei'],
+    rootVegetables: ['vengayam', 'poondu', 'urulai', 'urulaikizhangu', 'inji'],
+    vegetarian: ['poriyal', 'kootu', 'paruppu', 'kuzhambu', 'saivam']
+  },
+  bengali: {
+    meat: ['mangsho', 'mangsha', 'murgir'],
+    seafood: ['maach', 'machh', 'macher', 'chingri', 'ilish', 'hilsa', 'rui', 'katla', 'bhetki', 'pabda', 'tangra'],
+    egg: ['dimer', 'dim bhuna', 'dim kosha', 'dim curry', 'dim tarka', 'dim sedho'],
+    dairy: ['doi', 'chhana', 'sandesh'],
+    rootVegetables: ['peyaj', 'piyaj', 'rasun'],
+    vegetarian: ['shukto', 'chorchori', 'labra', 'ghonto', 'niramish']
+  },
+  malayalam: {
+    meat: ['irachi', 'erachi', 'iraichi', 'pothu'],
+    seafood: ['chemmeen', 'karimeen', 'njandu', 'kakka', 'koonthal', 'mathi', 'ayala', 'neymeen'],
+    egg: ['motta'],
+    dairy: ['thairu', 'moru', 'venna', 'neyy'],
+    rootVegetables: ['ulli', 'savala', 'veluthulli', 'kizhangu', 'inchi'],
+    vegetarian: ['thoran', 'avial', 'aviyal', 'olan', 'erissery', 'kalan', 'pachadi', 'parippu']
+  }
+};
+
+const LEXICON_LANGUAGES = Object.keys(DIET_LEXICON);
+
+// Devanagari letters in a simple Hinglish-style transliteration
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+const DEVANAGARI_VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+};
+
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+// Consonants written with a nukta (क़, ज़, ड़, फ़, ...)
+const DEVANAGARI_NUKTA_CONSONANTS = {
+  'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f'
+};
+
+const DEVANAGARI_LABIALS = ['प', 'फ', 'ब', 'भ', 'म'];
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const ANUSVARA = 'ं';
+const CHANDRABINDU = 'ँ';
+const VISARGA = 'ः';
+
+/**
+ * Split Devanagari text into syllable units ({ consonant, vowel, nasal } or raw text)
+ */
+function parseDevanagari(text) {
+  const units = [];
+
+  for (const char of text) {
+    const last = units[units.length - 1];
+
+    if (DEVANAGARI_CONSONANTS[char]) {
+      units.push({ char, latin: DEVANAGARI_CONSONANTS[char], vowel: 'a', inherent: true, nasal: '' });
+    } else if (DEVANAGARI_VOWELS[char]) {
+      units.push({ char, latin: '', vowel: DEVANAGARI_VOWELS[char], inherent: false, nasal: '' });
+    } else if (last && last.vowel !== undefined && char === NUKTA && DEVANAGARI_NUKTA_CONSONANTS[last.char]) {
+      last.latin = DEVANAGARI_NUKTA_CONSONANTS[last.char];
+    } else if (last && last.inherent && DEVANAGARI_VOWEL_SIGNS[char]) {
+      last.vowel = DEVANAGARI_VOWEL_SIGNS[char];
+      last.inherent = false;
+    } else if (last && last.inherent && char === VIRAMA) {
+      last.vowel = '';
+      last.inherent = false;
+    } else if (last && last.vowel !== undefined && (char === ANUSVARA || char === CHANDRABINDU)) {
+      last.nasal = 'n';
+    } else if (last && last.vowel !== undefined && char === VISARGA) {
+      last.nasal = 'h';
+    } else if (char >= '०' && char <= '९') {
+      units.push({ text: String(char.charCodeAt(0) - '०'.charCodeAt(0)) });
+    } else {
+      units.push({ text: char });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Transliterate Devanagari text (Hindi, Marathi) into Latin script
+ * Applies the usual Hindi schwa deletion: the inherent "a" is dropped at the end of a
+ * word and between a vowel-bearing syllable and a consonant with its own vowel
+ * (मछली -> machhli, मटन -> matan, गोश्त -> gosht). Other characters pass through unchanged.
+ */
+function transliterateDevanagari(text) {
+  const value = String(text || '').normalize('NFD');
+  if (!/[ऀ-ॿ]/.test(value)) {
+    return value;
+  }
+
+  const units = parseDevanagari(value);
+  const isLetter = (unit) => unit && unit.vowel !== undefined;
+
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (!isLetter(unit) || !unit.inherent || unit.nasal) continue;
+
+    const previous = units[i - 1];
+    const next = units[i + 1];
+    const wordFinal = !isLetter(next);
+
+    if (wordFinal && isLetter(previous)) {
+      unit.vowel = '';
+    } else if (!wordFinal && isLetter(previous) && previous.vowel && next.latin && next.vowel) {
+      unit.vowel = '';
+    }
+  }
+
+  return units.map((unit, index) => {
+    if (!isLetter(unit)) return unit.text;
+    // Anusvara is pronounced "m" before labial consonants (कोंबडी -> kombdi)
+    const nextChar = units[index + 1]?.char;
+    const nasal = unit.nasal === 'n' && DEVANAGARI_LABIALS.includes(nextChar) ? 'm' : unit.nasal;
+    return `${unit.latin}${unit.vowel}${nasal}`;
+  }).join('');
+}
+
+// Folded forms that are also common words: a term that would fold into one keeps its exact
+// spelling, so "meen" (fish) doesn't match "10 Min Poha", "maas" (meat) doesn't match "X-mas"
+// and "chhana" (cottage cheese) doesn't match "chana" (chickpeas)
+const FOLDING_COLLISIONS = ['min', 'mas', 'mans', 'ran', 'pal', 'tak', 'chana'];
+
+/**
+ * Fold common transliteration spelling variants into one form
+ * Doubled vowels are collapsed (aa -> a, ee/ii -> i, oo/uu -> u), aspirated "kh"/"gh"
+ * lose the "h", "chh" becomes "ch" and "z" becomes "j". Words whose folded form is in
+ * FOLDING_COLLISIONS are left as written.
+ */
+function normalizeSpelling(word) {
+  const folded = word
+    .replace(/chh/g, 'ch')
+    .replace(/([kg])h/g, '$1')
+    .replace(/z/g, 'j')
+    .replace(/aa+/g, 'a')
+    .replace(/(ee|ii)+/g, 'i')
+    .replace(/(oo|uu)+/g, 'u');
+  return folded !== word && FOLDING_COLLISIONS.includes(folded) ? word : folded;
+}
+
+/**
+ * Get every lexicon term for a group across all languages
+ */
+function getLexiconTerms(group) {
+  const terms = new Set();
+  for (const language of LEXICON_LANGUAGES) {
+    for (const term of DIET_LEXICON[language][group] || []) {
+      terms.add(term);
+    }
+  }
+  return Array.from(terms);
+}
+
+module.exports = {
+  DIET_LEXICON,
+  LEXICON_LANGUAGES,
+  transliterateDevanagari,
+  normalizeSpelling,
+  getLexiconTerms
+};
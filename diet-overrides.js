@@ -0,0 +1,146 @@
+/**
+ * Diet Overrides
+ *
+ * This module loads manually pinned diet classes for specific meal names and image
+ * names, so a dish the heuristics in vegetarian-detection.js get wrong can be corrected
+ * without a code change.
+ *
+ * Supported sources (later sources win when both pin the same name):
+ * - s3: A JSON file at data/diet-overrides.json (read from local disk in LOCAL_MODE)
+ *   { "meals": { "Veg Keema Pav": "veg" }, "images": { "Egg Curry": { "dietClass": "egg", "note": "..." } } }
+ * - firestore: One document per override
+ *   { kind: 'meal' | 'image', name, dietClass, note? }
+ *
+ * Names are matched case-insensitively with whitespace collapsed.
+ */
+
+const fs = require('fs');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { collection, getDocs } = require('firebase/firestore');
+const { DIET_ORDER } = require('./vegetarian-detection');
+const { normalizeMealName } = require('./embedding-cache');
+
+const OVERRIDE_KINDS = ['meal', 'image'];
+
+/**
+ * Build an override registry from a list of { kind, name, dietClass, note, source } entries
+ * Invalid entries are logged and skipped instead of failing the run.
+ */
+function createDietOverrideRegistry(entries = []) {
+  const overrides = { meal: new Map(), image: new Map() };
+  const rejected = [];
+
+  for (const entry of entries) {
+    const dietClass = typeof entry.dietClass === 'string' ? entry.dietClass.toLowerCase() : entry.dietClass;
+    if (!OVERRIDE_KINDS.includes(entry.kind) || !entry.name || !DIET_ORDER.includes(dietClass)) {
+      console.error(`⚠️  Ignoring invalid diet override (${entry.source}): ${JSON.stringify(entry)}`);
+      rejected.push(entry);
+      continue;
+    }
+
+    overrides[entry.kind].set(normalizeMealName(entry.name), {
+      name: entry.name,
+      dietClass,
+      note: entry.note || null,
+      source: entry.source
+    });
+  }
+
+  return {
+    getMealOverride: (mealName) => overrides.meal.get(normalizeMealName(mealName)) || null,
+    getImageOverride: (imageName) => overrides.image.get(normalizeMealName(imageName)) || null,
+    summary: () => ({ meals: overrides.meal.size, images: overrides.image.size, rejected: rejected.length })
+  };
+}
+
+/**
+ * Convert an overrides JSON document into registry entries
+ */
+function parseOverridesDocument(content, source) {
+  const data = JSON.parse(content);
+  const entries = [];
+
+  for (const [kind, key] of [['meal', 'meals'], ['image', 'images']]) {
+    for (const [name, value] of Object.entries(data[key] || {})) {
+      const override = typeof value === 'string' ? { dietClass: value } : (value || {});
+      entries.push({ kind, name, dietClass: override.dietClass, note: override.note, source });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Read overrides from the JSON file (local disk in local mode, S3 otherwise)
+ * A missing file means no overrides.
+ */
+async function readJsonOverrides({ localMode, filePath, s3Client, bucket, key }) {
+  if (localMode) {
+    if (!fs.existsSync(filePath)) {
+      console.log(`ℹ️  No diet overrides file at ${filePath}`);
+      return [];
+    }
+    return parseOverridesDocument(fs.readFileSync(filePath, 'utf8'), 's3');
+  }
+
+  if (!bucket) {
+    throw new Error('S3 diet overrides require an S3 bucket. Set KHANA_KYA_BANAU_S3_BUCKET or remove "s3" from DIET_OVERRIDE_SOURCES');
+  }
+
+  try {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return parseOverridesDocument(await response.Body.transformToString('utf8'), 's3');
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      console.log(`ℹ️  No diet overrides file at s3://${bucket}/${key}`);
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read overrides from a Firestore collection
+ */
+async function readFirestoreOverrides({ firestore, collectionName }) {
+  const snapshot = await getDocs(collection(firestore, collectionName));
+  return snapshot.docs.map(overrideDoc => {
+    const data = overrideDoc.data();
+    return { kind: data.kind, name: data.name, dietClass: data.dietClass, note: data.note, source: 'firestore' };
+  });
+}
+
+/**
+ * Load diet overrides from the configured sources
+ * Fails the run if a configured source can't be read, since silently dropping overrides
+ * would bring back classifications that were deliberately corrected.
+ */
+async function loadDietOverrides({ sources = [], ...options } = {}) {
+  const entries = [];
+
+  for (const source of sources) {
+    switch (source) {
+      case 's3':
+        entries.push(...await readJsonOverrides(options));
+        break;
+      case 'firestore':
+        entries.push(...await readFirestoreOverrides(options));
+        break;
+      default:
+        throw new Error(`Unknown diet override source "${source}". Use 's3' and/or 'firestore'`);
+    }
+  }
+
+  const registry = createDietOverrideRegistry(entries);
+  if (sources.length > 0) {
+    const { meals, images, rejected } = registry.summary();
+    console.log(`✅ Loaded diet overrides from ${sources.join(', ')}: ${meals} meals, ${images} images (${rejected} invalid)`);
+  }
+  return registry;
+}
+
+module.exports = {
+  createDietOverrideRegistry,
+  parseOverridesDocument,
+  loadDietOverrides
+};
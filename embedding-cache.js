@@ -0,0 +1,241 @@
+/**
+ * Meal Embedding Cache
+ *
+ * This module caches meal-name embeddings so names that were embedded before
+ * (including meals that ended up in failedImageMappings) can be re-scored
+ * without paying for another embeddings request.
+ *
+ * Entries are keyed by model id and normalized meal name. Supported backends:
+ * - none: Caching disabled
+ * - file: A single JSON file on local disk
+ * - s3: One object per entry under a key prefix, so concurrent invocations never overwrite each other
+ * - firestore: One document per entry
+ *
+ * Every cache exposes:
+ * - backend: Backend identifier
+ * - getMany(mealNames): Resolves to a Map of meal name -> cached embedding (misses are omitted)
+ * - setMany(embeddings): Stores a Map of meal name -> embedding
+ * - flush(): Persists pending writes (no-op for backends that write through)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { collection, doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
+
+/**
+ * Normalize a meal name for use as a cache key
+ */
+function normalizeMealName(mealName) {
+  return String(mealName)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the cache key for a meal name under a given model
+ */
+function buildCacheKey(modelId, mealName) {
+  return `${modelId}::${normalizeMealName(mealName)}`;
+}
+
+/**
+ * Create a cache that keeps every entry in one JSON blob (the local file backend)
+ * The blob is read on first use and written back on flush(), so it suits a single writer only
+ */
+function createBlobCache({ backend, modelId, read, write }) {
+  let entries = null;
+  let dirty = false;
+
+  async function load() {
+    if (entries) {
+      return entries;
+    }
+    try {
+      const content = await read();
+      entries = content ? (JSON.parse(content).entries || {}) : {};
+      console.log(`✅ Loaded ${Object.keys(entries).length} cached meal embeddings (${backend})`);
+    } catch (error) {
+      console.error(`⚠️  Could not load meal embedding cache (${backend}), starting empty:`, error.message);
+      entries = {};
+    }
+    return entries;
+  }
+
+  return {
+    backend,
+    async getMany(mealNames) {
+      const store = await load();
+      const hits = new Map();
+      for (const mealName of mealNames) {
+        const embedding = store[buildCacheKey(modelId, mealName)];
+        if (embedding) {
+          hits.set(mealName, embedding);
+        }
+      }
+      return hits;
+    },
+    async setMany(embeddings) {
+      const store = await load();
+      for (const [mealName, embedding] of embeddings) {
+        store[buildCacheKey(modelId, mealName)] = embedding;
+        dirty = true;
+      }
+    },
+    async flush() {
+      if (!dirty) {
+        return;
+      }
+      await write(JSON.stringify({ version: 1, entries }));
+      dirty = false;
+      console.log(`💾 Saved ${Object.keys(entries).length} cached meal embeddings (${backend})`);
+    }
+  };
+}
+
+/**
+ * Create a local-file cache
+ */
+function createFileCache({ modelId, filePath }) {
+  return createBlobCache({
+    backend: 'file',
+    modelId,
+    read: async () => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null),
+    write: async (content) => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+  });
+}
+
+/**
+ * Create an S3 cache (one object per model + meal name, written through like Firestore)
+ * Keys are hashed because meal names may contain characters that don't belong in an S3 key.
+ */
+function createS3Cache({ modelId, s3Client, bucket, prefix }) {
+  if (!bucket) {
+    throw new Error('S3 embedding cache requires an S3 bucket. Set KHANA_KYA_BANAU_S3_BUCKET or use a different EMBEDDING_CACHE_BACKEND');
+  }
+
+  const keyFor = (mealName) => {
+    const hash = crypto.createHash('sha256').update(buildCacheKey(modelId, mealName)).digest('hex');
+    return `${prefix.replace(/\/+$/, '')}/${hash}.json`;
+  };
+
+  async function readEntry(mealName) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: keyFor(mealName) }));
+      return JSON.parse(await response.Body.transformToString('utf8'));
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    backend: 's3',
+    async getMany(mealNames) {
+      const entries = await Promise.all(mealNames.map(readEntry));
+      const hits = new Map();
+      entries.forEach((entry, index) => {
+        // Guard against hash collisions between different names
+        if (entry && entry.model === modelId && entry.normalizedName === normalizeMealName(mealNames[index])) {
+          hits.set(mealNames[index], entry.embedding);
+        }
+      });
+      return hits;
+    },
+    async setMany(embeddings) {
+      await Promise.all(Array.from(embeddings, ([mealName, embedding]) =>
+        s3Client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: keyFor(mealName),
+          Body: JSON.stringify({ mealName, normalizedName: normalizeMealName(mealName), model: modelId, embedding }),
+          ContentType: 'application/json'
+        }))
+      ));
+    },
+    async flush() {}
+  };
+}
+
+/**
+ * Create a Firestore cache (one document per model + meal name)
+ */
+function createFirestoreCache({ modelId, firestore, collectionName, toDocId }) {
+  const cacheCollection = collection(firestore, collectionName);
+  const docIdFor = (mealName) => toDocId(buildCacheKey(modelId, mealName));
+
+  return {
+    backend: 'firestore',
+    async getMany(mealNames) {
+      const snapshots = await Promise.all(
+        mealNames.map(mealName => getDoc(doc(cacheCollection, docIdFor(mealName))))
+      );
+      const hits = new Map();
+      snapshots.forEach((snapshot, index) => {
+        if (snapshot.exists()) {
+          const data = snapshot.data();
+          // Guard against doc ID collisions between different names
+          if (data.model === modelId && data.normalizedName === normalizeMealName(mealNames[index])) {
+            hits.set(mealNames[index], data.embedding);
+          }
+        }
+      });
+      return hits;
+    },
+    async setMany(embeddings) {
+      await Promise.all(Array.from(embeddings, ([mealName, embedding]) =>
+        setDoc(doc(cacheCollection, docIdFor(mealName)), {
+          mealName,
+          normalizedName: normalizeMealName(mealName),
+          model: modelId,
+          embedding,
+          createdAt: serverTimestamp()
+        })
+      ));
+    },
+    async flush() {}
+  };
+}
+
+/**
+ * Create a cache that never stores anything
+ */
+function createNoopCache() {
+  return {
+    backend: 'none',
+    getMany: async () => new Map(),
+    setMany: async () => {},
+    flush: async () => {}
+  };
+}
+
+/**
+ * Create the embedding cache selected by configuration
+ */
+function createEmbeddingCache(options = {}) {
+  const backend = (options.backend || 'none').toLowerCase();
+
+  switch (backend) {
+    case 'none':
+      return createNoopCache();
+    case 'file':
+      return createFileCache(options);
+    case 's3':
+      return createS3Cache(options);
+    case 'firestore':
+      return createFirestoreCache(options);
+    default:
+      throw new Error(`Unknown embedding cache backend "${options.backend}". Use 'none', 'file', 's3' or 'firestore'`);
+  }
+}
+
+module.exports = {
+  createEmbeddingCache,
+  normalizeMealName
+};
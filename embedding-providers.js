@@ -0,0 +1,221 @@
+/**
+ * Embedding Providers
+ *
+ * This module provides a small provider interface for generating text embeddings,
+ * so the Lambda function is not tied to a single embeddings API.
+ *
+ * Every provider exposes:
+ * - name: Provider identifier ('openai', 'openai-compatible' or 'local')
+ * - model: Model identifier used for the embeddings
+ * - embed(texts): Resolves to one vector per input text, in input order
+ * - getDimensions(): Resolves to the vector dimension produced by the provider
+ */
+
+const { parseRetryAfter } = require('./retry');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+
+// Known output dimensions for OpenAI models (used for the startup dimension check when no explicit
+// dimension is configured; never sent, since ada-002 rejects the dimensions parameter)
+const OPENAI_MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+const DEFAULT_LOCAL_DIMENSIONS = 1536;
+
+/**
+ * Create a provider that talks to an OpenAI-style /embeddings endpoint
+ * dimensions is requested from the endpoint; knownDimensions only answers getDimensions() without a probe.
+ */
+function createHttpEmbeddingProvider({ name, baseUrl, apiKey, model, dimensions, knownDimensions }) {
+  if (!baseUrl) {
+    throw new Error(`Embedding provider "${name}" requires a base URL`);
+  }
+  if (!model) {
+    throw new Error(`Embedding provider "${name}" requires a model`);
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+  let resolvedDimensions = dimensions || knownDimensions || null;
+
+  async function embed(texts) {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const body = { input: texts, model };
+    if (dimensions) {
+      body.dimensions = dimensions;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`${name} embeddings API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+      throw error;
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new Error(`${name} embeddings API returned ${data?.data?.length ?? 0} embeddings for ${texts.length} inputs`);
+    }
+
+    // Responses carry an index per item; don't rely on array order
+    const vectors = new Array(texts.length);
+    data.data.forEach((item, position) => {
+      const index = Number.isInteger(item.index) ? item.index : position;
+      vectors[index] = item.embedding;
+    });
+
+    return vectors;
+  }
+
+  async function getDimensions() {
+    if (!resolvedDimensions) {
+      // Unknown model - probe the endpoint once
+      const [vector] = await embed(['dimension probe']);
+      resolvedDimensions = vector.length;
+    }
+    return resolvedDimensions;
+  }
+
+  return { name, model, embed, getDimensions };
+}
+
+/**
+ * Create the OpenAI provider
+ */
+function createOpenAIProvider({ apiKey, model, dimensions }) {
+  const resolvedModel = model || DEFAULT_OPENAI_MODEL;
+  return createHttpEmbeddingProvider({
+    name: 'openai',
+    baseUrl: OPENAI_BASE_URL,
+    apiKey,
+    model: resolvedModel,
+    dimensions,
+    knownDimensions: OPENAI_MODEL_DIMENSIONS[resolvedModel]
+  });
+}
+
+/**
+ * Create a provider for any OpenAI-compatible embeddings server (Azure proxies, vLLM, Ollama, etc.)
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, dimensions }) {
+  return createHttpEmbeddingProvider({
+    name: 'openai-compatible',
+    baseUrl,
+    apiKey,
+    model,
+    dimensions
+  });
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic offline provider
+ * Vectors are built by hashing words and character trigrams into a fixed number of buckets,
+ * so similar names get similar vectors and the same name always gets the same vector.
+ * No network access is needed, which makes it suitable for tests and local runs.
+ */
+function createLocalProvider({ dimensions }) {
+  const size = dimensions || DEFAULT_LOCAL_DIMENSIONS;
+
+  function embedText(text) {
+    const vector = new Array(size).fill(0);
+    const normalized = String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').trim();
+    const words = normalized.split(/\s+/).filter(word => word.length > 0);
+
+    const features = [];
+    for (const word of words) {
+      features.push(`w:${word}`);
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push(`t:${padded.slice(i, i + 3)}`);
+      }
+    }
+
+    for (const feature of features) {
+      const hash = hashString(feature);
+      const sign = (hash & 1) === 0 ? 1 : -1;
+      vector[hash % size] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  return {
+    name: 'local',
+    model: `local-hash-${size}`,
+    embed: async (texts) => texts.map(embedText),
+    getDimensions: async () => size
+  };
+}
+
+/**
+ * Create the embedding provider selected by configuration
+ */
+function createEmbeddingProvider(options = {}) {
+  const providerName = (options.provider || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider(options);
+    case 'local':
+      return createLocalProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider "${options.provider}". Use 'openai', 'openai-compatible' or 'local'`);
+  }
+}
+
+/**
+ * Ensure the provider's vectors can be compared with the loaded image embeddings
+ */
+async function validateProviderDimensions(provider, imageEmbeddings) {
+  const sample = imageEmbeddings.find(image => Array.isArray(image.embedding));
+  if (!sample) {
+    throw new Error('No image embeddings with vectors found');
+  }
+
+  const expected = sample.embedding.length;
+  const actual = await provider.getDimensions();
+
+  if (actual !== expected) {
+    throw new Error(`Embedding dimension mismatch: provider "${provider.name}" (${provider.model}) produces ${actual}-dimensional vectors but image embeddings have ${expected}`);
+  }
+
+  console.log(`✅ Embedding provider "${provider.name}" (${provider.model}) matches image embeddings (${expected} dimensions)`);
+  return expected;
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  validateProviderDimensions
+};
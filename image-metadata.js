@@ -0,0 +1,227 @@
+/**
+ * Image Metadata
+ *
+ * This module defines the curated metadata an image-embeddings.json entry may carry,
+ * so hand-checked facts about an image take precedence over what the heuristics
+ * derive from its url/name/description.
+ *
+ * Schema (all fields optional):
+ * - diet: 'jain' | 'vegan' | 'veg' | 'egg' | 'nonveg'
+ * - isVegetarian: Legacy boolean (true = 'veg', false = 'nonveg')
+ * - tags: Bare keywords ("vegan", "breakfast", "dessert") or "key:value" pairs
+ *   ("diet:egg", "cuisine:punjabi", "mealType:snack", "course:main")
+ * - cuisine: Free text, e.g. "South Indian" (normalized to lowercase)
+ * - mealType: One or more of 'breakfast', 'lunch', 'dinner', 'snack' (meal plan slots such as
+ *   'morningSnack' and 'eveningSnack' count as 'snack')
+ * - course: 'starter' | 'main' | 'side' | 'bread' | 'rice' | 'soup' | 'salad' | 'dessert' | 'beverage'
+ *
+ * The diet comes from the first curated source present: diet, then tags, then isVegetarian.
+ * The same schema is accepted on cuisines.json entries, which fill in cuisine, meal type and
+ * course where the embedding entry has none (see mergeImageMetadata).
+ */
+
+const { DIET_ORDER, isVegetarianClass } = require('./vegetarian-detection');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const COURSES = ['starter', 'main', 'side', 'bread', 'rice', 'soup', 'salad', 'dessert', 'beverage'];
+
+// Meal plan slots and plural spellings that map to a meal type
+const MEAL_TYPE_ALIASES = {
+  snacks: 'snack',
+  morningsnack: 'snack',
+  eveningsnack: 'snack'
+};
+
+// Diet keywords accepted in tags (and in the diet field)
+const DIET_ALIASES = {
+  jain: 'jain',
+  vegan: 'vegan',
+  veg: 'veg',
+  vegetarian: 'veg',
+  'pure-veg': 'veg',
+  egg: 'egg',
+  eggetarian: 'egg',
+  'non-veg': 'nonveg',
+  nonveg: 'nonveg',
+  'non-vegetarian': 'nonveg',
+  nonvegetarian: 'nonveg'
+};
+
+/**
+ * Normalize a keyword: lowercase, with spaces and underscores turned into hyphens
+ */
+function normalizeKeyword(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Resolve a meal type or meal plan slot to one of MEAL_TYPES (null if unknown)
+ */
+function normalizeMealType(value) {
+  const keyword = normalizeKeyword(value).replace(/-/g, '');
+  const mealType = MEAL_TYPE_ALIASES[keyword] || keyword;
+  return MEAL_TYPES.includes(mealType) ? mealType : null;
+}
+
+/**
+ * Normalize a cuisine name: lowercase, with hyphens and underscores turned into spaces
+ */
+function normalizeCuisine(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Check whether an image's cuisine satisfies a meal's cuisine
+ * A broader meal cuisine matches any narrower image cuisine ("indian" matches "south indian").
+ */
+function cuisineMatches(mealCuisine, imageCuisine) {
+  const imageWords = new Set(normalizeCuisine(imageCuisine).split(' '));
+  return normalizeCuisine(mealCuisine).split(' ').every(word => imageWords.has(word));
+}
+
+/**
+ * Resolve a diet keyword to a diet class (null if unknown)
+ */
+function parseDiet(value) {
+  const keyword = normalizeKeyword(value);
+  return DIET_ALIASES[keyword] || (DIET_ORDER.includes(keyword) ? keyword : null);
+}
+
+/**
+ * Parse and validate the curated metadata of an image embedding entry
+ * Returns { metadata: { diet, cuisine, mealTypes, course, tags }, dietField, errors }, where
+ * dietField names the field the diet came from and errors lists invalid or conflicting values.
+ */
+function parseImageMetadata(entry) {
+  const errors = [];
+  const tagValues = { diet: [], cuisine: [], mealType: [], course: [] };
+  const tags = [];
+
+  if (entry.tags !== undefined && !Array.isArray(entry.tags)) {
+    errors.push('tags must be an array');
+  }
+
+  for (const tag of Array.isArray(entry.tags) ? entry.tags : []) {
+    if (typeof tag !== 'string' || tag.trim() === '') {
+      errors.push(`invalid tag ${JSON.stringify(tag)}`);
+      continue;
+    }
+    tags.push(tag.trim());
+
+    const separator = tag.indexOf(':');
+    if (separator > 0) {
+      const key = normalizeKeyword(tag.slice(0, separator)).replace(/-/g, '');
+      const value = tag.slice(separator + 1).trim();
+      const field = { diet: 'diet', cuisine: 'cuisine', mealtype: 'mealType', course: 'course' }[key];
+      if (field) {
+        tagValues[field].push(value);
+      }
+      continue;
+    }
+
+    // Bare keywords are only interpreted when they are unambiguous
+    const keyword = normalizeKeyword(tag);
+    if (parseDiet(keyword)) tagValues.diet.push(keyword);
+    else if (normalizeMealType(keyword)) tagValues.mealType.push(keyword);
+    else if (COURSES.includes(keyword)) tagValues.course.push(keyword);
+  }
+
+  // Diet: diet field, then tags, then the legacy isVegetarian flag
+  const dietCandidates = [];
+  if (entry.diet !== undefined && entry.diet !== null) {
+    const diet = parseDiet(entry.diet);
+    if (diet) dietCandidates.push({ field: 'diet', diet });
+    else errors.push(`unknown diet "${entry.diet}"`);
+  }
+  for (const value of tagValues.diet) {
+    const diet = parseDiet(value);
+    if (diet) dietCandidates.push({ field: 'tags', diet });
+    else errors.push(`unknown diet tag "${value}"`);
+  }
+  if (entry.isVegetarian !== undefined && entry.isVegetarian !== null) {
+    if (typeof entry.isVegetarian === 'boolean') {
+      dietCandidates.push({ field: 'isVegetarian', diet: entry.isVegetarian ? 'veg' : 'nonveg' });
+    } else {
+      errors.push('isVegetarian must be a boolean');
+    }
+  }
+
+  const chosen = dietCandidates[0] || null;
+  const conflicting = dietCandidates.find(candidate =>
+    chosen && isVegetarianClass(candidate.diet) !== isVegetarianClass(chosen.diet)
+  );
+  if (conflicting) {
+    errors.push(`conflicting curated diet: ${chosen.field}=${chosen.diet}, ${conflicting.field}=${conflicting.diet}`);
+  }
+
+  // Meal types may be a single value or a list
+  const mealTypeValues = [
+    ...(Array.isArray(entry.mealType) ? entry.mealType : (entry.mealType ? [entry.mealType] : [])),
+    ...tagValues.mealType
+  ];
+  const mealTypes = [];
+  for (const value of mealTypeValues) {
+    const mealType = normalizeMealType(value);
+    if (!mealType) errors.push(`unknown meal type "${value}"`);
+    else if (!mealTypes.includes(mealType)) mealTypes.push(mealType);
+  }
+
+  let course = null;
+  for (const value of [entry.course, ...tagValues.course].filter(Boolean)) {
+    const normalized = normalizeKeyword(value);
+    if (!COURSES.includes(normalized)) errors.push(`unknown course "${value}"`);
+    else if (!course) course = normalized;
+  }
+
+  const cuisineValue = entry.cuisine || tagValues.cuisine[0] || null;
+  const cuisine = cuisineValue ? normalizeCuisine(cuisineValue) : null;
+
+  return {
+    metadata: {
+      diet: chosen ? chosen.diet : null,
+      cuisine,
+      mealTypes,
+      course,
+      tags
+    },
+    dietField: chosen ? chosen.field : null,
+    errors
+  };
+}
+
+/**
+ * Fill in cuisine, meal types and course from a fallback source (the cuisines.json entry)
+ * The diet is not merged: it has already decided the image's diet class.
+ */
+function mergeImageMetadata(metadata, fallback) {
+  return {
+    ...metadata,
+    cuisine: metadata.cuisine || fallback.cuisine,
+    mealTypes: metadata.mealTypes.length > 0 ? metadata.mealTypes : fallback.mealTypes,
+    course: metadata.course || fallback.course
+  };
+}
+
+/**
+ * Compare a curated diet with the heuristic one
+ * Only differences that change who may see the image count: vegetarian (jain/vegan/veg)
+ * vs egg vs non-vegetarian. Returns null when they agree.
+ */
+function findDietDisagreement(curatedDiet, heuristicDiet) {
+  const tier = (diet) => (isVegetarianClass(diet) ? 'vegetarian' : diet);
+  if (!curatedDiet || tier(curatedDiet) === tier(heuristicDiet)) {
+    return null;
+  }
+  return { curated: curatedDiet, heuristic: heuristicDiet };
+}
+
+module.exports = {
+  MEAL_TYPES,
+  COURSES,
+  normalizeMealType,
+  normalizeCuisine,
+  cuisineMatches,
+  parseImageMetadata,
+  mergeImageMetadata,
+  findDietDisagreement
+};
@@ -11,20 +11,61 @@
  * 
  * Environment Variables Required:
  * - FIREBASE_PROJECT_ID: Firebase project ID
- * - OPENAI_API_KEY: OpenAI API key for generating embeddings
+ * - OPENAI_API_KEY: OpenAI API key for generating embeddings (openai provider)
+ * - EMBEDDING_PROVIDER: 'openai', 'openai-compatible' or 'local' (default: openai)
+ * - EMBEDDING_MODEL: Embedding model (default: text-embedding-3-small)
+ * - EMBEDDING_BASE_URL: Base URL of the embeddings server (openai-compatible provider)
+ * - EMBEDDING_API_KEY: API key for the embeddings server (default: OPENAI_API_KEY)
+ * - EMBEDDING_DIMENSIONS: Vector dimension override (default: model's native dimension)
+ * - EMBEDDING_CHUNK_SIZE: Maximum meal names per embeddings request (default: 100)
+ * - EMBEDDING_MAX_RETRIES: Retries per embeddings request on 429/5xx/network errors (default: 4)
+ * - EMBEDDING_RETRY_BASE_DELAY_MS: Base delay for exponential backoff (default: 500)
+ * - EMBEDDING_RETRY_MAX_DELAY_MS: Maximum delay between retries (default: 20000)
+ * - EMBEDDING_CIRCUIT_BREAKER_THRESHOLD: Consecutive failed requests before the run stops (default: 3)
+ * - EMBEDDING_CACHE_BACKEND: Meal embedding cache: 'none', 'file', 's3' or 'firestore' (default: none)
+ * - EMBEDDING_CACHE_PATH: Cache file path for the file backend (default: data/meal-embedding-cache.json)
  * - LOCAL_MODE: Set to 'true' or '1' to use local files instead of S3 (default: false)
+ * - LOCAL_IMAGE_EMBEDDINGS_PATH: Image embeddings file in local mode (default: data/image-embeddings.json)
+ * - LOCAL_CUISINES_PATH: Cuisines file in local mode (default: data/cuisines.json)
  * - KHANA_KYA_BANAU_S3_BUCKET: S3 bucket name for data files (required when LOCAL_MODE=false)
  * - COSINE_SIMILARITY_THRESHOLD: Minimum cosine similarity (default: 0.2)
- * - TEXT_SIMILARITY_THRESHOLD: Minimum text similarity (default: 0.2)
+ * - TEXT_SIMILARITY_THRESHOLD: Text similarity that marks an accepted match as 'hybrid' (default: 0.2)
+ * - HYBRID_COSINE_WEIGHT: Weight of cosine similarity in the hybrid score (default: 0.8)
+ * - HYBRID_TEXT_WEIGHT: Weight of text similarity in the hybrid score (default: 0.2)
+ * - TOP_K_CANDIDATES: Number of ranked candidate images stored per meal (default: 5)
  * - MAX_MEALS_PER_BATCH: Maximum meals to process per batch (default: 50)
+ * - FETCH_LOOKBACK_DAYS: Default fetch-mode window on weekStartDate, in days (default: 14)
+ * - WORK_QUEUE_CLAIM_LIMIT: Maximum queued meals claimed per invocation (default: 500)
+ * - DIET_OVERRIDE_SOURCES: Comma-separated diet override sources: 's3', 'firestore' (default: none)
+ * - DIET_CONFIDENCE_THRESHOLD: Minimum diet classification confidence before a mapping needs review (default: 0.6)
+ * - MEAL_TYPE_MATCH: Use image meal types when ranking: 'boost', 'filter' or 'off' (default: boost)
+ * - MEAL_TYPE_BOOST: Ranking bonus for images tagged with the meal's type (default: 0.05)
+ * - CUISINE_MATCH: Use image cuisines when ranking: 'boost', 'filter' or 'off' (default: boost)
+ * - CUISINE_BOOST: Ranking bonus for images of the meal's cuisine (default: 0.03)
+ * - MAX_REQUEST_MEAL_NAMES: Maximum meal names per request-mode invocation (default: 500)
+ * - MAX_MEAL_NAME_LENGTH: Maximum characters per requested meal name (default: 200)
+ * - CORS_ALLOWED_ORIGIN: Access-Control-Allow-Origin for API Gateway responses (default: *)
+ * - REMAP_MIN_IMPROVEMENT: Cosine score gain a remapped image needs over the stored one (default: 0.05)
+ * - REMAP_PAGE_SIZE: Maximum stored mappings scanned per remap invocation (default: 500)
+ * - RETRY_PAGE_SIZE: Maximum failed mappings retried per retryFailed invocation (default: 500)
+ * - NEEDS_IMAGE_ATTEMPTS: Failed attempts after which a meal is reported as needing a new image (default: 3)
+ * - IMAGE_SET_VERSION: Label for the deployed image set, recorded in mapping provenance (default: none)
  */
 
 const { initializeApp } = require('firebase/app');
-const { getFirestore, collection, getDocs, addDoc, setDoc, doc, getDoc, serverTimestamp, query, where, orderBy } = require('firebase/firestore');
+const { getFirestore, collection, getDocs, addDoc, setDoc, deleteDoc, doc, getDoc, runTransaction, serverTimestamp, increment, query, where, orderBy, startAfter, limit, documentId } = require('firebase/firestore');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { detectMealVegetarian, detectImageNonVegetarian, validateVegetarianConstraint } = require('./vegetarian-detection');
+const { DIET_CLASSES, classifyMealDiet, classifyImageDiet, getCompatibleDietsForClass, isVegetarianClass, normalizeDietClass, isDietCompatible } = require('./vegetarian-detection');
+const { loadDietOverrides } = require('./diet-overrides');
+const { ERROR_CODES, createRequestError, parseInvocationEvent, validateRequestPayload, buildResponse, buildPreflightResponse } = require('./api-contract');
+const { normalizeMealType, cuisineMatches, parseImageMetadata, mergeImageMetadata, findDietDisagreement } = require('./image-metadata');
+const { createEmbeddingProvider, validateProviderDimensions } = require('./embedding-providers');
+const { createEmbeddingCache } = require('./embedding-cache');
+const { CIRCUIT_OPEN_CODE, withRetry, createCircuitBreaker } = require('./retry');
+const { createWorkQueue } = require('./work-queue');
 
 // Initialize AWS S3
 const s3Client = new S3Client();
@@ -52,14 +93,93 @@ const CONFIG = {
   COSINE_SIMILARITY_THRESHOLD: parseFloat(process.env.COSINE_SIMILARITY_THRESHOLD) || 0.2,
   TEXT_SIMILARITY_THRESHOLD: parseFloat(process.env.TEXT_SIMILARITY_THRESHOLD) || 0.2,
   
+  // Hybrid ranking weights (normalized, so they don't need to sum to 1)
+  HYBRID_COSINE_WEIGHT: parseFloat(process.env.HYBRID_COSINE_WEIGHT ?? 0.8),
+  HYBRID_TEXT_WEIGHT: parseFloat(process.env.HYBRID_TEXT_WEIGHT ?? 0.2),
+  
+  // Number of ranked candidates kept per meal
+  TOP_K_CANDIDATES: parseInt(process.env.TOP_K_CANDIDATES) || 5,
+  
+  // Recorded with every mapping next to the image set hash
+  IMAGE_SET_VERSION: process.env.IMAGE_SET_VERSION || null,
+  
   // Processing limits
   MAX_MEALS_PER_BATCH: parseInt(process.env.MAX_MEALS_PER_BATCH) || 50,
   MAX_EXECUTION_TIME_MS: 4 * 60 * 1000, // 4 minutes (leave 1 minute buffer)
   
+  // Fetch-mode window (overridable per invocation)
+  FETCH_LOOKBACK_DAYS: parseInt(process.env.FETCH_LOOKBACK_DAYS) || 14,
+  MAX_LOOKBACK_DAYS: 366,
+  
+  // Embedding provider
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai',
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  EMBEDDING_BASE_URL: process.env.EMBEDDING_BASE_URL,
+  EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  EMBEDDING_DIMENSIONS: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined,
+  EMBEDDING_CHUNK_SIZE: parseInt(process.env.EMBEDDING_CHUNK_SIZE) || 100,
+  
+  // Embedding request retries
+  EMBEDDING_MAX_RETRIES: parseInt(process.env.EMBEDDING_MAX_RETRIES ?? 4),
+  EMBEDDING_RETRY_BASE_DELAY_MS: parseInt(process.env.EMBEDDING_RETRY_BASE_DELAY_MS) || 500,
+  EMBEDDING_RETRY_MAX_DELAY_MS: parseInt(process.env.EMBEDDING_RETRY_MAX_DELAY_MS) || 20000,
+  EMBEDDING_CIRCUIT_BREAKER_THRESHOLD: parseInt(process.env.EMBEDDING_CIRCUIT_BREAKER_THRESHOLD) || 3,
+  
+  // Meal embedding cache
+  EMBEDDING_CACHE_BACKEND: process.env.EMBEDDING_CACHE_BACKEND || 'none',
+  EMBEDDING_CACHE_PATH: process.env.EMBEDDING_CACHE_PATH || path.join(__dirname, 'data', 'meal-embedding-cache.json'),
+  S3_EMBEDDING_CACHE_PREFIX: 'data/meal-embedding-cache',
+  EMBEDDING_CACHE_COLLECTION: 'mealEmbeddingCache',
+  
+  // Maximum names listed per category in the data integrity report
+  DATA_INTEGRITY_LIST_LIMIT: 100,
+  
+  // Firestore 'in' queries accept at most 30 values
+  FIRESTORE_IN_QUERY_LIMIT: 30,
+  
   // Firestore collections
   MEALS_COLLECTION: 'mealPlans',
   MAPPINGS_COLLECTION: 'mealImageMappings',
   FAILED_MAPPINGS_COLLECTION: 'failedImageMappings',
+  CURSORS_COLLECTION: 'mealMappingCursors',
+  WORK_QUEUE_COLLECTION: 'mealMappingQueue',
+  
+  // Work queue for meals left over when a fetch-mode run stops early
+  WORK_QUEUE_LEASE_MS: 6 * 60 * 1000, // Longer than the Lambda timeout, so only crashed runs' leases expire
+  WORK_QUEUE_CLAIM_LIMIT: parseInt(process.env.WORK_QUEUE_CLAIM_LIMIT) || 500,
+  FETCH_CURSOR_DOC_ID: 'fetch',
+  
+  // Remap mode: a stored mapping is only replaced when the new best image beats its cosine score by this margin
+  REMAP_MIN_IMPROVEMENT: parseFloat(process.env.REMAP_MIN_IMPROVEMENT ?? 0.05),
+  REMAP_PAGE_SIZE: parseInt(process.env.REMAP_PAGE_SIZE) || 500,
+  MAPPING_HISTORY_SUBCOLLECTION: 'history',
+  
+  // retryFailed mode: meals still failing after this many attempts are reported as needing a new image
+  RETRY_PAGE_SIZE: parseInt(process.env.RETRY_PAGE_SIZE) || 500,
+  NEEDS_IMAGE_ATTEMPTS: parseInt(process.env.NEEDS_IMAGE_ATTEMPTS) || 3,
+  
+  // Manually pinned diet classes for meal and image names
+  DIET_OVERRIDE_SOURCES: (process.env.DIET_OVERRIDE_SOURCES || '')
+    .split(',')
+    .map(source => source.trim().toLowerCase())
+    .filter(source => source && source !== 'none'),
+  S3_DIET_OVERRIDES_KEY: 'data/diet-overrides.json',
+  
+  // Meals classified below this confidence only match confidently vegetarian images and need review
+  DIET_CONFIDENCE_THRESHOLD: parseFloat(process.env.DIET_CONFIDENCE_THRESHOLD ?? 0.6),
+  DIET_OVERRIDES_COLLECTION: 'dietOverrides',
+  
+  // Meal type and cuisine matching against image metadata: 'boost', 'filter' or 'off'
+  MEAL_TYPE_MATCH: (process.env.MEAL_TYPE_MATCH || 'boost').toLowerCase(),
+  MEAL_TYPE_BOOST: parseFloat(process.env.MEAL_TYPE_BOOST ?? 0.05),
+  CUISINE_MATCH: (process.env.CUISINE_MATCH || 'boost').toLowerCase(),
+  CUISINE_BOOST: parseFloat(process.env.CUISINE_BOOST ?? 0.03),
+  
+  // Request limits and CORS for API Gateway invocations
+  MAX_REQUEST_MEAL_NAMES: parseInt(process.env.MAX_REQUEST_MEAL_NAMES) || 500,
+  MAX_MEAL_NAME_LENGTH: parseInt(process.env.MAX_MEAL_NAME_LENGTH) || 200,
+  MAX_REQUEST_BODY_BYTES: 1024 * 1024,
+  CORS_ALLOWED_ORIGIN: process.env.CORS_ALLOWED_ORIGIN || '*',
   
   // Local mode configuration
   LOCAL_MODE: process.env.LOCAL_MODE === 'true' || process.env.LOCAL_MODE === '1',
@@ -70,10 +190,26 @@ const CONFIG = {
   S3_CUISINES_KEY: 'data/cuisines.json',
   
   // Local data paths (fallback and local mode)
-  EMBEDDINGS_PATH: path.join(__dirname, 'data', 'image-embeddings.json'),
-  CUISINES_PATH: path.join(__dirname, 'data', 'cuisines.json'),
+  EMBEDDINGS_PATH: process.env.LOCAL_IMAGE_EMBEDDINGS_PATH || path.join(__dirname, 'data', 'image-embeddings.json'),
+  CUISINES_PATH: process.env.LOCAL_CUISINES_PATH || path.join(__dirname, 'data', 'cuisines.json'),
+  DIET_OVERRIDES_PATH: path.join(__dirname, 'data', 'diet-overrides.json'),
 };
 
+// Failure categories recorded on failedImageMappings documents
+const FAILURE_CATEGORIES = {
+  BELOW_THRESHOLD: 'below_threshold',             // Best image scored below the cosine threshold
+  EMBEDDING_ERROR: 'embedding_error',             // Embedding could not be generated (after retries)
+  NO_ELIGIBLE_IMAGES: 'no_eligible_images',       // Diet (and meal type/cuisine) filters excluded every image
+  MISSING_CUISINE_ENTRY: 'missing_cuisine_entry', // Best image has no entry in cuisines.json
+  PROCESSING_ERROR: 'processing_error'            // Any other unexpected error
+};
+
+// Failure categories that mean no suitable image exists yet (a new image would fix them)
+const IMAGE_GAP_CATEGORIES = [FAILURE_CATEGORIES.BELOW_THRESHOLD, FAILURE_CATEGORIES.NO_ELIGIBLE_IMAGES];
+
+// Ways image meal types and cuisines can be used when ranking (MEAL_TYPE_MATCH / CUISINE_MATCH)
+const CONTEXT_MATCH_MODES = ['boost', 'filter', 'off'];
+
 /**
  * Sanitize meal name for use as Firestore document ID
  * Firestore document IDs must be valid UTF-8 strings, no more than 1,500 bytes,
@@ -165,6 +301,78 @@ async function loadCuisineMap() {
 // Global variables for loaded data
 let cuisineMap = null;
 let imageEmbeddings = null;
+let embeddingProvider = null;
+let embeddingCache = null;
+let dataIntegrityReport = null;
+let imageSetHash = null;
+let workQueue = null;
+let dietOverrides = null;
+
+// Stops calling the embedding provider once it keeps failing (reset at the start of every invocation)
+const embeddingCircuitBreaker = createCircuitBreaker({
+  failureThreshold: CONFIG.EMBEDDING_CIRCUIT_BREAKER_THRESHOLD,
+  label: 'embedding provider'
+});
+
+/**
+ * Get the configured embedding provider (created once per container)
+ */
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    embeddingProvider = createEmbeddingProvider({
+      provider: CONFIG.EMBEDDING_PROVIDER,
+      model: CONFIG.EMBEDDING_MODEL,
+      baseUrl: CONFIG.EMBEDDING_BASE_URL,
+      apiKey: CONFIG.EMBEDDING_API_KEY,
+      dimensions: CONFIG.EMBEDDING_DIMENSIONS
+    });
+  }
+  return embeddingProvider;
+}
+
+/**
+ * Get the fetch-mode work queue (created once per container)
+ */
+function getWorkQueue() {
+  if (!workQueue) {
+    workQueue = createWorkQueue({
+      firestore,
+      collectionName: CONFIG.WORK_QUEUE_COLLECTION,
+      leaseMs: CONFIG.WORK_QUEUE_LEASE_MS,
+      toDocId: sanitizeMealNameForDocId
+    });
+  }
+  return workQueue;
+}
+
+/**
+ * Identify the model that produced an embedding, so cached vectors are never mixed across models
+ */
+function getEmbeddingModelId() {
+  const provider = getEmbeddingProvider();
+  const dimensions = CONFIG.EMBEDDING_DIMENSIONS ? `@${CONFIG.EMBEDDING_DIMENSIONS}` : '';
+  return `${provider.name}/${provider.model}${dimensions}`;
+}
+
+/**
+ * Get the configured meal embedding cache (created once per container)
+ */
+function getEmbeddingCache() {
+  if (!embeddingCache) {
+    embeddingCache = createEmbeddingCache({
+      backend: CONFIG.EMBEDDING_CACHE_BACKEND,
+      modelId: getEmbeddingModelId(),
+      filePath: CONFIG.EMBEDDING_CACHE_PATH,
+      s3Client,
+      bucket: CONFIG.S3_BUCKET,
+      prefix: CONFIG.S3_EMBEDDING_CACHE_PREFIX,
+      firestore,
+      collectionName: CONFIG.EMBEDDING_CACHE_COLLECTION,
+      toDocId: sanitizeMealNameForDocId
+    });
+  }
+  return embeddingCache;
+}
 
 /**
  * Load precomputed embeddings from S3 or local file
@@ -199,17 +407,31 @@ async function loadEmbeddings() {
     
     const embeddings = JSON.parse(embeddingsData);
     
-    // Pre-compute vegetarian status for each image embedding
-    console.log('🥬 Pre-computing vegetarian status for all image embeddings...');
+    // Pre-compute diet class for each image embedding
+    // Precedence: manual override, then curated metadata on the entry, then heuristics
+    console.log('🥬 Pre-computing diet class for all image embeddings...');
     const embeddingsWithVegetarianStatus = embeddings.map(embedding => {
-      const imageIsNonVegetarian = detectImageNonVegetarian(embedding.url, embedding.name, embedding.description);
+      const { metadata, dietField, errors } = parseImageMetadata(embedding);
+      const heuristic = classifyImageDiet(embedding.url, embedding.name, embedding.description);
+      const override = dietOverrides?.getImageOverride(embedding.name || '');
+      const curatedDiet = override ? override.dietClass : metadata.diet;
+      const { dietClass, compatibleDiets, confidence } = curatedDiet
+        ? { dietClass: curatedDiet, compatibleDiets: getCompatibleDietsForClass(curatedDiet), confidence: 1 }
+        : heuristic;
       return {
         ...embedding,
-        isNonVegetarian: imageIsNonVegetarian
+        metadata,
+        metadataErrors: errors,
+        dietClass,
+        compatibleDiets,
+        dietSource: override ? 'override' : (dietField ? 'curated' : 'heuristic'),
+        dietConfidence: confidence,
+        dietDisagreement: findDietDisagreement(curatedDiet, heuristic.dietClass),
+        isNonVegetarian: dietClass === DIET_CLASSES.EGG || dietClass === DIET_CLASSES.NONVEG
       };
     });
     
-    console.log(`✅ Loaded ${embeddingsWithVegetarianStatus.length} image embeddings with pre-computed vegetarian status`);
+    console.log(`✅ Loaded ${embeddingsWithVegetarianStatus.length} image embeddings with pre-computed diet classes`);
     return embeddingsWithVegetarianStatus;
     
   } catch (error) {
@@ -218,6 +440,139 @@ async function loadEmbeddings() {
   }
 }
 
+/**
+ * Validate the join between image embeddings and cuisines data
+ * Embeddings without a matching cuisine entry (orphans) or without a usable vector are excluded,
+ * since they can never produce an image URL. Cuisines without an embedding are only reported.
+ * Usable embeddings get the cuisine, meal type and course of their cuisines.json entry where
+ * their own metadata has none.
+ */
+function validateDataIntegrity(cuisineMap, embeddings) {
+  const expectedDimensions = embeddings.find(embedding => Array.isArray(embedding.embedding))?.embedding.length || 0;
+  const embeddingNames = new Set();
+  const orphanEmbeddings = [];
+  const invalidEmbeddings = [];
+  const validEmbeddings = [];
+  const dietDisagreements = [];
+  const invalidMetadata = [];
+  let curatedDietCount = 0;
+
+  for (const embedding of embeddings) {
+    embeddingNames.add(embedding.name);
+
+    if (embedding.dietSource === 'curated') {
+      curatedDietCount++;
+    }
+    if (embedding.dietDisagreement) {
+      dietDisagreements.push({ name: embedding.name || '(unnamed)', ...embedding.dietDisagreement });
+    }
+    const metadataErrors = [...(embedding.metadataErrors || [])];
+
+    if (!Array.isArray(embedding.embedding) || embedding.embedding.length !== expectedDimensions) {
+      invalidEmbeddings.push(embedding.name || '(unnamed)');
+    } else if (!embedding.name || !cuisineMap[embedding.name]) {
+      orphanEmbeddings.push(embedding.name || '(unnamed)');
+    } else {
+      // The cuisines.json entry fills in cuisine, meal type and course the embedding entry lacks
+      const cuisineMetadata = parseImageMetadata(cuisineMap[embedding.name]);
+      metadataErrors.push(...cuisineMetadata.errors.map(error => `cuisines.json: ${error}`));
+      validEmbeddings.push({
+        ...embedding,
+        metadata: mergeImageMetadata(embedding.metadata || parseImageMetadata(embedding).metadata, cuisineMetadata.metadata)
+      });
+    }
+
+    if (metadataErrors.length > 0) {
+      invalidMetadata.push({ name: embedding.name || '(unnamed)', errors: metadataErrors });
+    }
+  }
+
+  const cuisinesWithoutEmbeddings = Object.keys(cuisineMap).filter(name => !embeddingNames.has(name));
+
+  const listLimit = CONFIG.DATA_INTEGRITY_LIST_LIMIT;
+  const report = {
+    totalEmbeddings: embeddings.length,
+    usableEmbeddings: validEmbeddings.length,
+    totalCuisines: Object.keys(cuisineMap).length,
+    orphanEmbeddingCount: orphanEmbeddings.length,
+    invalidEmbeddingCount: invalidEmbeddings.length,
+    cuisinesWithoutEmbeddingsCount: cuisinesWithoutEmbeddings.length,
+    orphanEmbeddings: orphanEmbeddings.slice(0, listLimit),
+    invalidEmbeddings: invalidEmbeddings.slice(0, listLimit),
+    cuisinesWithoutEmbeddings: cuisinesWithoutEmbeddings.slice(0, listLimit),
+    metadata: {
+      curatedDietCount,
+      dietDisagreementCount: dietDisagreements.length,
+      invalidMetadataCount: invalidMetadata.length,
+      dietDisagreements: dietDisagreements.slice(0, listLimit),
+      invalidMetadata: invalidMetadata.slice(0, listLimit)
+    }
+  };
+
+  if (orphanEmbeddings.length > 0) {
+    console.log(`⚠️  Excluding ${orphanEmbeddings.length} image embeddings with no entry in cuisines data:`, report.orphanEmbeddings);
+  }
+  if (invalidEmbeddings.length > 0) {
+    console.log(`⚠️  Excluding ${invalidEmbeddings.length} image embeddings without a ${expectedDimensions}-dimensional vector:`, report.invalidEmbeddings);
+  }
+  if (cuisinesWithoutEmbeddings.length > 0) {
+    console.log(`ℹ️  ${cuisinesWithoutEmbeddings.length} cuisines have no image embedding`);
+  }
+  if (dietDisagreements.length > 0) {
+    console.log(`⚠️  ${dietDisagreements.length} image embeddings have a curated diet that disagrees with the heuristics:`, report.metadata.dietDisagreements);
+  }
+  if (invalidMetadata.length > 0) {
+    console.log(`⚠️  ${invalidMetadata.length} image embeddings have invalid metadata:`, report.metadata.invalidMetadata);
+  }
+  if (validEmbeddings.length === 0) {
+    throw new Error('No usable image embeddings: none of the embeddings match an entry in cuisines data');
+  }
+
+  console.log(`✅ Data integrity check: ${validEmbeddings.length}/${embeddings.length} image embeddings usable`);
+  return { embeddings: validEmbeddings, report };
+}
+
+/**
+ * Classify a meal's diet, preferring a manual override over the heuristics
+ * Overrides are fully trusted (confidence 1).
+ */
+function classifyMeal(mealName, description) {
+  const override = dietOverrides?.getMealOverride(mealName);
+  const { dietClass, confidence } = override
+    ? { dietClass: override.dietClass, confidence: 1 }
+    : classifyMealDiet(mealName, description);
+  return {
+    isVegetarian: isVegetarianClass(dietClass),
+    dietClass,
+    dietSource: override ? 'override' : 'heuristic',
+    dietConfidence: confidence
+  };
+}
+
+/**
+ * Check whether a diet classification is too uncertain to trust
+ * Conflicting indicators make a classification uncertain, and so does null (no indicators at all).
+ */
+function isLowDietConfidence(confidence) {
+  return confidence === null || (typeof confidence === 'number' && confidence < CONFIG.DIET_CONFIDENCE_THRESHOLD);
+}
+
+/**
+ * Load the diet override registry from the configured sources
+ */
+async function loadDietOverrideRegistry() {
+  return loadDietOverrides({
+    sources: CONFIG.DIET_OVERRIDE_SOURCES,
+    localMode: CONFIG.LOCAL_MODE,
+    filePath: CONFIG.DIET_OVERRIDES_PATH,
+    s3Client,
+    bucket: CONFIG.S3_BUCKET,
+    key: CONFIG.S3_DIET_OVERRIDES_KEY,
+    firestore,
+    collectionName: CONFIG.DIET_OVERRIDES_COLLECTION
+  });
+}
+
 /**
  * Process meal names from request body
  */
@@ -226,13 +581,11 @@ async function processRequestMeals(mealNames) {
     console.log(`🔄 Processing ${mealNames.length} meal names from request...`);
     
     const meals = mealNames.map((mealName, index) => {
-      // Detect vegetarian status using the vegetarian detection module
-      const isVegetarian = detectMealVegetarian(mealName, '');
-      
       return {
         id: `request_${index}_${Date.now()}`,
         name: mealName,
-        isVegetarian: isVegetarian,
+        // Detect diet class using overrides and the vegetarian detection module
+        ...classifyMeal(mealName, ''),
         description: `Requested meal: ${mealName}`,
         cuisine: 'Indian', // Default cuisine
         source: 'request'
@@ -265,77 +618,378 @@ async function isMealMappingExists(mealName) {
 }
 
 /**
- * Fetch existing meal mappings for specific meal names using Firestore 'in' operator
- * Returns a Set of meal names that already have mappings
- * @param {string[]} mealNames - Array of meal names to check for existing mappings
+ * Fetch stored meal mappings for specific meal names
+ * Mapping documents are keyed by sanitized meal name, so they are read by document ID
+ * using chunked 'in' queries (CONFIG.FIRESTORE_IN_QUERY_LIMIT IDs per query, run in parallel).
+ * Returns a Map of meal name to mapping document data. Lookup failures are thrown, never
+ * swallowed, so a Firestore outage can't make every meal look unmapped.
+ * @param {string[]} mealNames - Array of meal names to look up
+ * @param {string} collectionName - Collection keyed by sanitized meal name (failed mappings are too)
  */
-async function fetchExistingMappings(mealNames) {
+async function fetchStoredMappings(mealNames, collectionName = CONFIG.MAPPINGS_COLLECTION) {
   try {
     if (!mealNames || mealNames.length === 0) {
-      console.log('ℹ️  No meal names provided, returning empty mappings set');
-      return new Set();
+      console.log('ℹ️  No meal names provided, returning no mappings');
+      return new Map();
     }
 
-    console.log(`🔍 Fetching existing mappings for ${mealNames.length} specific meals...`);
+    console.log(`🔍 Fetching existing ${collectionName} documents for ${mealNames.length} specific meals...`);
     
-    const mappingsCollection = collection(firestore, CONFIG.MAPPINGS_COLLECTION);
-    const existingMappings = new Set();
+    const mappingsCollection = collection(firestore, collectionName);
+    const storedMappings = new Map();
+    
+    // Several meal names can sanitize to the same document ID
+    const namesByDocId = new Map();
+    for (const mealName of mealNames) {
+      const docId = sanitizeMealNameForDocId(mealName);
+      if (!docId) {
+        continue; // Can't be stored under an empty ID, so it can't be mapped
+      }
+      if (!namesByDocId.has(docId)) {
+        namesByDocId.set(docId, []);
+      }
+      namesByDocId.get(docId).push(mealName);
+    }
     
-    // Firestore 'in' operator has a limit of 10 items per query
-    // So we need to chunk the meal names into groups of 10
+    const docIds = Array.from(namesByDocId.keys());
+    const chunkSize = CONFIG.FIRESTORE_IN_QUERY_LIMIT;
     const chunks = [];
-    for (let i = 0; i < mealNames.length; i += 10) {
-      chunks.push(mealNames.slice(i, i + 10));
+    for (let i = 0; i < docIds.length; i += chunkSize) {
+      chunks.push(docIds.slice(i, i + chunkSize));
     }
     
-    console.log(`📦 Processing ${chunks.length} chunks of meal names (max 10 per chunk)`);
+    console.log(`📦 Checking ${docIds.length} document IDs in ${chunks.length} chunks (max ${chunkSize} per query)`);
     
-    // Process each chunk
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      console.log(`🔄 Processing chunk ${i + 1}/${chunks.length} with ${chunk.length} meals`);
-      
-      const query = query(mappingsCollection, where('mealName', 'in', chunk));
-      const snapshot = await getDocs(query);
-      
-      for (const doc of snapshot.docs) {
-        const mappingData = doc.data();
-        if (mappingData.mealName) {
-          existingMappings.add(mappingData.mealName);
-        }
+    const snapshots = await Promise.all(chunks.map(chunk =>
+      getDocs(query(mappingsCollection, where(documentId(), 'in', chunk)))
+    ));
+    
+    for (const snapshot of snapshots) {
+      for (const mappingDoc of snapshot.docs) {
+        const mapping = mappingDoc.data();
+        (namesByDocId.get(mappingDoc.id) || []).forEach(mealName => storedMappings.set(mealName, mapping));
       }
     }
     
-    console.log(`✅ Found ${existingMappings.size} existing mappings out of ${mealNames.length} checked meals`);
-    return existingMappings;
+    console.log(`✅ Found ${storedMappings.size} existing ${collectionName} documents out of ${mealNames.length} checked meals`);
+    return storedMappings;
     
   } catch (error) {
     console.error('❌ Error fetching existing mappings:', error);
-    return new Set(); // Return empty set if we can't fetch
+    throw error;
+  }
+}
+
+/**
+ * Fetch the names of meals that already have mappings
+ * @param {string[]} mealNames - Array of meal names to check for existing mappings
+ */
+async function fetchExistingMappings(mealNames) {
+  return new Set((await fetchStoredMappings(mealNames)).keys());
+}
+
+/**
+ * Check whether a stored mapping was curated by hand and must not be overwritten by automated runs
+ */
+function isLockedMapping(mapping) {
+  return Boolean(mapping) && (mapping.locked === true || mapping.source === 'manual');
+}
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD format
+ */
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parse fetch-mode options from the invocation payload
+ * - lookbackDays: Window on weekStartDate, counted back from today (default: CONFIG.FETCH_LOOKBACK_DAYS)
+ * - startDate / endDate: Explicit YYYY-MM-DD range for one-off backfills (inclusive, at most
+ *   CONFIG.MAX_LOOKBACK_DAYS days; endDate defaults to today)
+ * - incremental: Only scan meal plans after the stored high-water mark
+ */
+function parseFetchOptions(payload = {}) {
+  const options = {
+    lookbackDays: CONFIG.FETCH_LOOKBACK_DAYS,
+    startDate: null,
+    endDate: null,
+    incremental: payload.incremental === true || payload.incremental === 'true'
+  };
+
+  if (payload.lookbackDays !== undefined) {
+    const lookbackDays = Number(payload.lookbackDays);
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > CONFIG.MAX_LOOKBACK_DAYS) {
+      throw createRequestError(`lookbackDays must be an integer between 1 and ${CONFIG.MAX_LOOKBACK_DAYS}`, { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+    }
+    options.lookbackDays = lookbackDays;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (payload[field] !== undefined) {
+      if (!isValidDateString(payload[field])) {
+        throw createRequestError(`${field} must be a date in YYYY-MM-DD format`, { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+      }
+      options[field] = payload[field];
+    }
+  }
+
+  if (options.startDate && options.endDate && options.startDate > options.endDate) {
+    throw createRequestError('startDate must not be after endDate', { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+  }
+  if (options.endDate && !options.startDate) {
+    throw createRequestError('endDate requires startDate', { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+  }
+  if (options.startDate) {
+    // Backfills are bounded like lookbackDays, so one invocation can't scan every plan ever written
+    const end = options.endDate || daysAgoString(0);
+    const rangeDays = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${options.startDate}T00:00:00Z`)) / 86400000 + 1;
+    if (rangeDays > CONFIG.MAX_LOOKBACK_DAYS) {
+      throw createRequestError(`startDate/endDate range must span at most ${CONFIG.MAX_LOOKBACK_DAYS} days`, { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+    }
+  }
+  if (options.incremental && (options.startDate || options.endDate)) {
+    throw createRequestError('incremental cannot be combined with startDate/endDate', { code: ERROR_CODES.INVALID_FETCH_OPTIONS });
+  }
+
+  return options;
+}
+
+/**
+ * Parse remap-mode options from the invocation payload
+ * - minCosineScore / maxCosineScore: Only remap mappings whose stored cosine score is in this range
+ * - mappedAfter / mappedBefore: Only remap mappings processed in this YYYY-MM-DD range (inclusive)
+ * - imageName: Only remap mappings that currently point at this image
+ * - margin: Cosine score gain required to replace a mapping (default: CONFIG.REMAP_MIN_IMPROVEMENT)
+ * - limit: Stored mappings scanned in this invocation (default: CONFIG.REMAP_PAGE_SIZE)
+ * - cursor: Resume after this mapping document ID (the previous response's nextCursor)
+ */
+function parseRemapOptions(payload = {}) {
+  const invalid = (message) => createRequestError(message, { code: ERROR_CODES.INVALID_REMAP_OPTIONS });
+  const options = {
+    minCosineScore: null,
+    maxCosineScore: null,
+    mappedAfter: null,
+    mappedBefore: null,
+    imageName: null,
+    margin: CONFIG.REMAP_MIN_IMPROVEMENT,
+    limit: CONFIG.REMAP_PAGE_SIZE,
+    cursor: null
+  };
+
+  for (const field of ['minCosineScore', 'maxCosineScore', 'margin']) {
+    if (payload[field] !== undefined) {
+      const value = Number(payload[field]);
+      if (!Number.isFinite(value) || value < (field === 'margin' ? 0 : -1) || value > 1) {
+        throw invalid(`${field} must be a number between ${field === 'margin' ? 0 : -1} and 1`);
+      }
+      options[field] = value;
+    }
+  }
+  if (options.minCosineScore !== null && options.maxCosineScore !== null && options.minCosineScore > options.maxCosineScore) {
+    throw invalid('minCosineScore must not be greater than maxCosineScore');
+  }
+
+  for (const field of ['mappedAfter', 'mappedBefore']) {
+    if (payload[field] !== undefined) {
+      if (!isValidDateString(payload[field])) {
+        throw invalid(`${field} must be a date in YYYY-MM-DD format`);
+      }
+      options[field] = payload[field];
+    }
+  }
+  if (options.mappedAfter && options.mappedBefore && options.mappedAfter > options.mappedBefore) {
+    throw invalid('mappedAfter must not be after mappedBefore');
+  }
+
+  for (const field of ['imageName', 'cursor']) {
+    if (payload[field] !== undefined) {
+      if (typeof payload[field] !== 'string' || payload[field].trim() === '') {
+        throw invalid(`${field} must be a non-empty string`);
+      }
+      options[field] = payload[field];
+    }
+  }
+
+  if (payload.limit !== undefined) {
+    const pageSize = Number(payload.limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > CONFIG.REMAP_PAGE_SIZE) {
+      throw invalid(`limit must be an integer between 1 and ${CONFIG.REMAP_PAGE_SIZE}`);
+    }
+    options.limit = pageSize;
+  }
+
+  return options;
+}
+
+/**
+ * Parse retryFailed-mode options from the invocation payload
+ * - failureCategory: Only retry failed mappings recorded with this category
+ * - limit: Failed mappings retried in this invocation (default: CONFIG.RETRY_PAGE_SIZE)
+ * - cursor: Resume after this failed mapping document ID (the previous response's nextCursor)
+ */
+function parseRetryOptions(payload = {}) {
+  const invalid = (message) => createRequestError(message, { code: ERROR_CODES.INVALID_RETRY_OPTIONS });
+  const options = {
+    failureCategory: null,
+    limit: CONFIG.RETRY_PAGE_SIZE,
+    cursor: null
+  };
+
+  if (payload.failureCategory !== undefined) {
+    if (!Object.values(FAILURE_CATEGORIES).includes(payload.failureCategory)) {
+      throw invalid(`failureCategory must be one of: ${Object.values(FAILURE_CATEGORIES).join(', ')}`);
+    }
+    options.failureCategory = payload.failureCategory;
+  }
+
+  if (payload.cursor !== undefined) {
+    if (typeof payload.cursor !== 'string' || payload.cursor.trim() === '') {
+      throw invalid('cursor must be a non-empty string');
+    }
+    options.cursor = payload.cursor;
+  }
+
+  if (payload.limit !== undefined) {
+    const pageSize = Number(payload.limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > CONFIG.RETRY_PAGE_SIZE) {
+      throw invalid(`limit must be an integer between 1 and ${CONFIG.RETRY_PAGE_SIZE}`);
+    }
+    options.limit = pageSize;
+  }
+
+  return options;
+}
+
+/**
+ * Parse manual-mode options from the invocation payload
+ * - action: 'set' pins imageName to mealName and locks the mapping; 'clear' removes a manual mapping
+ * - mealName: The meal to set or clear
+ * - imageName: Name of the image in cuisines.json ('set' only)
+ */
+function parseManualMappingOptions(payload = {}) {
+  const invalid = (message) => createRequestError(message, { code: ERROR_CODES.INVALID_MANUAL_MAPPING });
+
+  if (payload.action !== 'set' && payload.action !== 'clear') {
+    throw invalid('action must be "set" or "clear"');
+  }
+  if (typeof payload.mealName !== 'string' || payload.mealName.trim() === '' ||
+      payload.mealName.trim().length > CONFIG.MAX_MEAL_NAME_LENGTH) {
+    throw invalid(`mealName must be a non-empty string of at most ${CONFIG.MAX_MEAL_NAME_LENGTH} characters`);
+  }
+  if (payload.action === 'set' && (typeof payload.imageName !== 'string' || payload.imageName.trim() === '')) {
+    throw invalid('imageName must be a non-empty string');
+  }
+  if (payload.action === 'clear' && payload.imageName !== undefined) {
+    throw invalid('imageName can\'t be used with action "clear"');
+  }
+
+  return {
+    action: payload.action,
+    mealName: payload.mealName.trim(),
+    imageName: payload.action === 'set' ? payload.imageName.trim() : null
+  };
+}
+
+/**
+ * Read the incremental fetch high-water mark
+ */
+async function loadFetchCursor() {
+  const cursorRef = doc(collection(firestore, CONFIG.CURSORS_COLLECTION), CONFIG.FETCH_CURSOR_DOC_ID);
+  const cursorSnap = await getDoc(cursorRef);
+  return cursorSnap.exists() ? cursorSnap.data() : null;
+}
+
+/**
+ * Store the incremental fetch high-water mark (last processed weekStartDate/doc)
+ */
+async function saveFetchCursor(cursor) {
+  const cursorRef = doc(collection(firestore, CONFIG.CURSORS_COLLECTION), CONFIG.FETCH_CURSOR_DOC_ID);
+  await setDoc(cursorRef, {
+    weekStartDate: cursor.weekStartDate,
+    docId: cursor.docId,
+    updatedAt: serverTimestamp()
+  });
+  console.log(`📌 Saved fetch cursor at ${cursor.weekStartDate} / ${cursor.docId}`);
+}
+
+/**
+ * Format a date that is `days` days before today as YYYY-MM-DD
+ */
+function daysAgoString(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build the meal plans query for the requested window
+ * Returns the query and a description of the window for logging and the response
+ */
+async function buildMealPlansQuery(options) {
+  const mealsCollection = collection(firestore, CONFIG.MEALS_COLLECTION);
+
+  if (options.startDate || options.endDate) {
+    const constraints = [];
+    if (options.startDate) constraints.push(where('weekStartDate', '>=', options.startDate));
+    if (options.endDate) constraints.push(where('weekStartDate', '<=', options.endDate));
+    return {
+      mealsQuery: query(mealsCollection, ...constraints, orderBy('weekStartDate', 'desc')),
+      window: { type: 'range', from: options.startDate, to: options.endDate }
+    };
+  }
+
+  if (options.incremental) {
+    const cursor = await loadFetchCursor();
+    if (cursor) {
+      // Ascending order so the last document scanned becomes the next high-water mark
+      return {
+        mealsQuery: query(
+          mealsCollection,
+          orderBy('weekStartDate', 'asc'),
+          orderBy(documentId(), 'asc'),
+          startAfter(cursor.weekStartDate, cursor.docId)
+        ),
+        window: { type: 'incremental', after: { weekStartDate: cursor.weekStartDate, docId: cursor.docId } }
+      };
+    }
+
+    // First incremental run - start from the lookback window
+    const from = daysAgoString(options.lookbackDays);
+    return {
+      mealsQuery: query(
+        mealsCollection,
+        where('weekStartDate', '>=', from),
+        orderBy('weekStartDate', 'asc'),
+        orderBy(documentId(), 'asc')
+      ),
+      window: { type: 'incremental', after: null, from }
+    };
   }
+
+  const from = daysAgoString(options.lookbackDays);
+  return {
+    mealsQuery: query(mealsCollection, where('weekStartDate', '>=', from), orderBy('weekStartDate', 'desc')),
+    window: { type: 'lookback', lookbackDays: options.lookbackDays, from }
+  };
 }
 
 /**
- * Fetch unmapped meals from Firestore (last two weeks only)
+ * Fetch unmapped meals from Firestore
+ * The window defaults to the last CONFIG.FETCH_LOOKBACK_DAYS days; see parseFetchOptions for overrides.
+ * Returns the unmapped meals plus the scanned window and the last scanned document (the next cursor).
  */
-async function fetchUnmappedMeals() {
+async function fetchUnmappedMeals(options = parseFetchOptions()) {
   try {
-    console.log('🔍 Fetching unmapped meals from Firestore (last two weeks)...');
-    
-    // Calculate date from two weeks ago
-    const twoWeeksAgo = new Date();
-    twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-    const twoWeeksAgoString = twoWeeksAgo.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-    
-    console.log(`📅 Filtering meal plans from ${twoWeeksAgoString} onwards`);
-    
-    // Get meals from the last two weeks only
-    const mealsCollection = collection(firestore, CONFIG.MEALS_COLLECTION);
-    const mealsQuery = query(
-      mealsCollection,
-      where('weekStartDate', '>=', twoWeeksAgoString),
-      orderBy('weekStartDate', 'desc')
-    );
+    console.log('🔍 Fetching unmapped meals from Firestore...');
+    
+    const { mealsQuery, window } = await buildMealPlansQuery(options);
+    console.log('📅 Meal plan window:', window);
+    
     const mealsSnapshot = await getDocs(mealsQuery);
     
     // First pass: collect all unique meal names
@@ -419,12 +1073,10 @@ async function fetchUnmappedMeals() {
       const mappingExists = existingMappings.has(mealData.name);
       
       if (!mappingExists) {
-        // Detect vegetarian status using the vegetarian detection module
-        const isVegetarian = detectMealVegetarian(mealData.name, mealData.description || '');
-        
+        // Detect diet class using overrides and the vegetarian detection module
         unmappedMeals.push({
           ...mealData,
-          isVegetarian: isVegetarian
+          ...classifyMeal(mealData.name, mealData.description || '')
         });
         
         console.log(`Found unmapped meal: "${mealData.name}"`);
@@ -433,8 +1085,15 @@ async function fetchUnmappedMeals() {
       }
     }
     
-    console.log(`✅ Found ${unmappedMeals.length} unmapped meals out of ${mealsSnapshot.size} total meals from the last two weeks`);
-    return unmappedMeals;
+    console.log(`✅ Found ${unmappedMeals.length} unmapped meals out of ${mealsSnapshot.size} meal plans scanned`);
+    
+    const lastDoc = mealsSnapshot.docs[mealsSnapshot.docs.length - 1];
+    return {
+      meals: unmappedMeals,
+      window,
+      mealPlansScanned: mealsSnapshot.size,
+      lastScanned: lastDoc ? { weekStartDate: lastDoc.data().weekStartDate, docId: lastDoc.id } : null
+    };
     
   } catch (error) {
     console.error('❌ Error fetching unmapped meals:', error);
@@ -492,100 +1151,359 @@ function calculateTextSimilarity(text1, text2) {
 }
 
 /**
- * Find the best matching image for a meal
+ * Combine cosine and text similarity into a single ranking score
  */
-function findBestImageMatch(mealName, mealEmbedding, mealIsVegetarian, imageEmbeddings) {
-  let bestMatch = null;
-  let bestCosineScore = 0;
-  let success = false;
-
-  console.log(`🔍 Finding best match for meal: "${mealName}" (vegetarian: ${mealIsVegetarian})`);
-
-  for (const imageEmbedding of imageEmbeddings) {
-    // Use pre-computed vegetarian status
-    const imageIsNonVegetarian = imageEmbedding.isNonVegetarian;
+function calculateHybridScore(cosineScore, textScore) {
+  const totalWeight = CONFIG.HYBRID_COSINE_WEIGHT + CONFIG.HYBRID_TEXT_WEIGHT;
+  if (!(totalWeight > 0)) {
+    return cosineScore;
+  }
+  return (CONFIG.HYBRID_COSINE_WEIGHT * cosineScore + CONFIG.HYBRID_TEXT_WEIGHT * textScore) / totalWeight;
+}
 
-    // Vegetarian fail-safe: never map vegetarian meal to non-vegetarian image
-    if (mealIsVegetarian && imageIsNonVegetarian) {
-      continue;
-    }
+/**
+ * Decide whether a scored candidate passes the thresholds and how
+ * The cosine threshold is the gate; text similarity ranks candidates and marks matches that
+ * also clear TEXT_SIMILARITY_THRESHOLD as 'hybrid', but never accepts a candidate on its own.
+ */
+function classifyMatch(cosineScore, textScore) {
+  const cosinePassed = cosineScore >= CONFIG.COSINE_SIMILARITY_THRESHOLD;
+  const textPassed = textScore >= CONFIG.TEXT_SIMILARITY_THRESHOLD;
 
-    // Calculate cosine similarity
-    const cosineScore = calculateCosineSimilarity(mealEmbedding, imageEmbedding.embedding);
-    
-    // Determine if this is a better match
-    if (cosineScore >= CONFIG.COSINE_SIMILARITY_THRESHOLD) {
-      success = true;
-    }
-    
-    if(cosineScore > bestCosineScore){
-      bestMatch = imageEmbedding;
-      bestCosineScore = cosineScore;
-    }
+  if (cosinePassed && textPassed) {
+    return {
+      mapped: true,
+      method: 'hybrid',
+      reason: `Cosine similarity ${cosineScore.toFixed(3)} >= ${CONFIG.COSINE_SIMILARITY_THRESHOLD} and text similarity ${textScore.toFixed(3)} >= ${CONFIG.TEXT_SIMILARITY_THRESHOLD}`
+    };
   }
-
-  const result = {
-    mapped: success,
-    bestMatch,
-    cosineScore: bestCosineScore,
-    url: bestMatch ? cuisineMap[bestMatch.name].imageUrl : null
+  if (cosinePassed) {
+    return {
+      mapped: true,
+      method: 'cosine',
+      reason: `Cosine similarity ${cosineScore.toFixed(3)} >= ${CONFIG.COSINE_SIMILARITY_THRESHOLD}`
+    };
+  }
+  return {
+    mapped: false,
+    method: 'none',
+    failureCategory: FAILURE_CATEGORIES.BELOW_THRESHOLD,
+    reason: textPassed
+      ? `Cosine similarity ${cosineScore.toFixed(3)} < ${CONFIG.COSINE_SIMILARITY_THRESHOLD} (text similarity ${textScore.toFixed(3)} alone is not enough)`
+      : `Cosine similarity ${cosineScore.toFixed(3)} < ${CONFIG.COSINE_SIMILARITY_THRESHOLD} and text similarity ${textScore.toFixed(3)} < ${CONFIG.TEXT_SIMILARITY_THRESHOLD}`
   };
-
-  console.log(`📊 Match result for "${mealName}": (cosine: ${bestCosineScore.toFixed(3)})`);
-  console.log('URL', result.url, '\n');  
-  
-  return result;
 }
 
 /**
- * Generate embedding for meal name using OpenAI API
+ * Check the configured meal type / cuisine match modes
  */
-async function generateMealEmbedding(mealName) {
-  try {
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        input: mealName,
-        model: 'text-embedding-3-small'
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+function validateContextMatchConfig() {
+  for (const setting of ['MEAL_TYPE_MATCH', 'CUISINE_MATCH']) {
+    if (!CONTEXT_MATCH_MODES.includes(CONFIG[setting])) {
+      throw new Error(`Unknown ${setting} "${CONFIG[setting]}". Use 'boost', 'filter' or 'off'`);
     }
-
-    const data = await response.json();
-    return data.data[0].embedding;
-    
-  } catch (error) {
-    console.error(`❌ Error generating embedding for "${mealName}":`, error);
-    throw error;
   }
 }
 
 /**
- * Process a batch of meals
+ * Compare a meal's type and cuisine with an image's metadata
+ * Images without the relevant metadata are neither boosted nor filtered out.
+ * Returns { eligible, boost }, where boost is added to the hybrid score for ranking only.
  */
-async function processMealBatch(meals, imageEmbeddings) {
+function evaluateMealContext({ mealType, cuisine }, imageMetadata) {
+  let eligible = true;
+  let boost = 0;
+
+  const mealTypes = imageMetadata?.mealTypes || [];
+  if (CONFIG.MEAL_TYPE_MATCH !== 'off' && mealType && mealTypes.length > 0) {
+    const matched = mealTypes.includes(mealType);
+    if (CONFIG.MEAL_TYPE_MATCH === 'filter' && !matched) eligible = false;
+    if (CONFIG.MEAL_TYPE_MATCH === 'boost' && matched) boost += CONFIG.MEAL_TYPE_BOOST;
+  }
+
+  const imageCuisine = imageMetadata?.cuisine;
+  if (CONFIG.CUISINE_MATCH !== 'off' && cuisine && imageCuisine) {
+    const matched = cuisineMatches(cuisine, imageCuisine);
+    if (CONFIG.CUISINE_MATCH === 'filter' && !matched) eligible = false;
+    if (CONFIG.CUISINE_MATCH === 'boost' && matched) boost += CONFIG.CUISINE_BOOST;
+  }
+
+  return { eligible, boost };
+}
+
+/**
+ * Find the best matching images for a meal
+ * Images that clear the cosine threshold rank ahead of those that don't, each group by hybrid score,
+ * so a strong text match below the threshold can't push a passing image out of first place.
+ * The top CONFIG.TOP_K_CANDIDATES are returned so alternatives can be offered without re-running.
+ * mealDiet is a diet class ('jain', 'vegan', 'veg', 'egg', 'nonveg'); the legacy isVegetarian boolean is also accepted.
+ * With confidentVegetarianOnly (set for low-confidence meals) only images confidently classified
+ * as vegetarian are considered, whatever the meal was classified as.
+ * mealType and cuisine boost or filter images by their metadata (MEAL_TYPE_MATCH / CUISINE_MATCH).
+ */
+function findBestImageMatch(mealName, mealEmbedding, mealDiet, imageEmbeddings, { confidentVegetarianOnly = false, mealType = null, cuisine = null } = {}) {
+  const scored = [];
+  const dietClass = normalizeDietClass(mealDiet);
+  const context = { mealType: mealType ? normalizeMealType(mealType) : null, cuisine: cuisine || null };
+  let contextExcluded = 0;
+
+  console.log(`🔍 Finding best match for meal: "${mealName}" (diet: ${dietClass}${confidentVegetarianOnly ? ', low confidence' : ''})`);
+
+  for (const imageEmbedding of imageEmbeddings) {
+    // Diet fail-safe: never map a stricter-diet meal to a laxer-diet image
+    if (!isDietCompatible(dietClass, imageEmbedding)) {
+      continue;
+    }
+
+    // Uncertain meals only get images we are sure are vegetarian; an image without any
+    // indicators (null confidence) is as uncertain as one with conflicting indicators
+    if (confidentVegetarianOnly && (
+      !isVegetarianClass(imageEmbedding.dietClass) ||
+      isLowDietConfidence(imageEmbedding.dietConfidence ?? null)
+    )) {
+      continue;
+    }
+
+    const { eligible, boost } = evaluateMealContext(context, imageEmbedding.metadata);
+    if (!eligible) {
+      contextExcluded++;
+      continue;
+    }
+
+    const cosineScore = calculateCosineSimilarity(mealEmbedding, imageEmbedding.embedding);
+    const textScore = calculateTextSimilarity(mealName, imageEmbedding.name || '');
+    const hybridScore = calculateHybridScore(cosineScore, textScore);
+
+    const passed = classifyMatch(cosineScore, textScore).mapped;
+
+    // Only images that already pass are boosted, so context can't lift a rejected image to the top
+    scored.push({ image: imageEmbedding, cosineScore, textScore, hybridScore, contextBoost: passed ? boost : 0, passed });
+  }
+
+  // Meal type / cuisine boosts only affect the ranking; thresholds still apply to the raw scores
+  scored.sort((a, b) => (b.passed - a.passed) || ((b.hybridScore + b.contextBoost) - (a.hybridScore + a.contextBoost)));
+  const top = scored.slice(0, Math.max(1, CONFIG.TOP_K_CANDIDATES));
+  const best = top[0] || null;
+
+  const candidates = top.map((candidate, index) => ({
+    rank: index + 1,
+    imageName: candidate.image.name,
+    imageUrl: cuisineMap?.[candidate.image.name]?.imageUrl || null,
+    cosineScore: candidate.cosineScore,
+    textScore: candidate.textScore,
+    hybridScore: candidate.hybridScore,
+    contextBoost: candidate.contextBoost
+  }));
+
+  let classification;
+  if (!best) {
+    classification = {
+      mapped: false,
+      method: 'none',
+      failureCategory: FAILURE_CATEGORIES.NO_ELIGIBLE_IMAGES,
+      reason: imageEmbeddings.length > 0
+        ? `${confidentVegetarianOnly ? 'Low-confidence diet' : 'Diet'} filter${contextExcluded > 0 ? ' and meal type/cuisine filters' : ''} excluded all ${imageEmbeddings.length} images`
+        : 'No image embeddings loaded'
+    };
+  } else if (!candidates[0].imageUrl) {
+    classification = {
+      mapped: false,
+      method: 'none',
+      failureCategory: FAILURE_CATEGORIES.MISSING_CUISINE_ENTRY,
+      reason: `Best image "${best.image.name}" has no entry in cuisines data`
+    };
+  } else {
+    classification = classifyMatch(best.cosineScore, best.textScore);
+  }
+
+  const result = {
+    mapped: classification.mapped,
+    method: classification.method,
+    reason: classification.reason,
+    failureCategory: classification.failureCategory || null,
+    bestMatch: best ? best.image : null,
+    cosineScore: best ? best.cosineScore : 0,
+    textScore: best ? best.textScore : 0,
+    hybridScore: best ? best.hybridScore : 0,
+    url: best ? candidates[0].imageUrl : null,
+    candidates
+  };
+
+  console.log(`📊 Match result for "${mealName}": ${result.method} (hybrid: ${result.hybridScore.toFixed(3)}, cosine: ${result.cosineScore.toFixed(3)}, text: ${result.textScore.toFixed(3)}, ${candidates.length} candidates)`);
+  
+  return result;
+}
+
+/**
+ * Generate embedding for a single meal name
+ */
+async function generateMealEmbedding(mealName) {
+  const { embeddings, errors } = await generateMealEmbeddings([mealName]);
+  if (!embeddings.has(mealName)) {
+    throw errors.get(mealName) || new Error(`No embedding generated for "${mealName}"`);
+  }
+  return embeddings.get(mealName);
+}
+
+/**
+ * Generate embeddings for many meal names using chunked multi-input requests
+ * Cached vectors are reused; only cache misses are sent to the embedding provider.
+ * Dry runs read the cache but never add to it.
+ * Returns a Map of meal name -> embedding, plus a Map of meal name -> error for chunks that failed
+ */
+async function generateMealEmbeddings(mealNames, { dryRun = false } = {}) {
+  const uniqueNames = Array.from(new Set(mealNames));
+  const errors = new Map();
+  const chunkSize = Math.max(1, CONFIG.EMBEDDING_CHUNK_SIZE);
+  const provider = getEmbeddingProvider();
+  const cache = getEmbeddingCache();
+
+  let embeddings = new Map();
+  try {
+    embeddings = await cache.getMany(uniqueNames);
+  } catch (error) {
+    console.error('⚠️  Error reading meal embedding cache, embedding all meals:', error);
+  }
+
+  const missingNames = uniqueNames.filter(mealName => !embeddings.has(mealName));
+  if (embeddings.size > 0) {
+    console.log(`♻️  Reusing ${embeddings.size} cached meal embeddings, ${missingNames.length} to generate`);
+  }
+
+  const generated = new Map();
+  for (let i = 0; i < missingNames.length; i += chunkSize) {
+    const chunk = missingNames.slice(i, i + chunkSize);
+    try {
+      console.log(`🧮 Generating embeddings for ${chunk.length} meals (chunk ${Math.floor(i / chunkSize) + 1}/${Math.ceil(missingNames.length / chunkSize)})`);
+      const vectors = await embeddingCircuitBreaker.execute(() => withRetry(() => provider.embed(chunk), {
+        maxRetries: CONFIG.EMBEDDING_MAX_RETRIES,
+        baseDelayMs: CONFIG.EMBEDDING_RETRY_BASE_DELAY_MS,
+        maxDelayMs: CONFIG.EMBEDDING_RETRY_MAX_DELAY_MS,
+        label: `Embeddings request (${chunk.length} meals)`
+      }));
+      chunk.forEach((mealName, index) => {
+        embeddings.set(mealName, vectors[index]);
+        generated.set(mealName, vectors[index]);
+      });
+    } catch (error) {
+      console.error(`❌ Error generating embeddings for chunk of ${chunk.length} meals:`, error);
+      chunk.forEach(mealName => errors.set(mealName, error));
+    }
+  }
+
+  if (generated.size > 0 && !dryRun) {
+    try {
+      await cache.setMany(generated);
+    } catch (error) {
+      console.error('⚠️  Error writing meal embedding cache:', error);
+    }
+  }
+
+  return { embeddings, errors };
+}
+
+/**
+ * Collect the meal fields that affect matching besides its name
+ * They are stored on mapping and failed-mapping documents so remap and retryFailed
+ * re-score a meal with the same diet and meal type / cuisine context it was first scored with.
+ */
+function buildScoringInputs(meal) {
+  return {
+    description: meal.description || '',
+    mealType: meal.mealType || null,
+    cuisine: meal.cuisine ?? null
+  };
+}
+
+/**
+ * Rebuild a meal for re-scoring from a stored mapping or failed mapping
+ * Documents written before scoringInputs was stored get the request-mode defaults.
+ */
+function buildStoredMeal(id, stored, source) {
+  const inputs = stored.scoringInputs || {};
+  return {
+    id,
+    name: stored.mealName,
+    ...classifyMeal(stored.mealName, inputs.description || ''),
+    description: inputs.description || '',
+    mealType: inputs.mealType || null,
+    cuisine: inputs.cuisine ?? 'Indian', // Default cuisine
+    source
+  };
+}
+
+/**
+ * Build a failed-mapping result for a meal that could not be matched
+ */
+function buildFailedResult(meal, failureCategory, { reason, error, matchResult } = {}) {
+  return {
+    mealName: meal.name,
+    imageUrl: matchResult?.url || null,
+    imageName: matchResult?.bestMatch?.name || null,
+    cosineScore: matchResult?.cosineScore || 0,
+    textScore: matchResult?.textScore || 0,
+    hybridScore: matchResult?.hybridScore || 0,
+    method: error ? 'error' : (matchResult?.method || 'none'),
+    reason: reason || error?.message || matchResult?.reason || null,
+    failureCategory,
+    error: error
+      ? {
+          message: error.message,
+          name: error.name || 'Error',
+          status: error.status || null,
+          attempts: error.attempts || 1
+        }
+      : null,
+    candidates: matchResult?.candidates || [],
+    mealIsVegetarian: meal.isVegetarian,
+    mealDietClass: normalizeDietClass(meal.dietClass || meal.isVegetarian),
+    mealDietSource: meal.dietSource || 'heuristic',
+    mealDietConfidence: meal.dietConfidence ?? null,
+    needsReview: isLowDietConfidence(meal.dietConfidence),
+    scoringInputs: buildScoringInputs(meal),
+    processedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Process a batch of meals
+ * dryRun is passed on to generateMealEmbeddings, so a dry run adds nothing to the embedding cache.
+ */
+async function processMealBatch(meals, imageEmbeddings, { dryRun = false } = {}) {
   const results = [];
   const unmappedResults = []
+  const skippedMeals = [];
   
   console.log(`🔄 Processing batch of ${meals.length} meals...`);
 
+  // Embed the whole batch up front in chunked requests instead of one request per meal
+  const { embeddings: mealEmbeddings, errors: embeddingErrors } = await generateMealEmbeddings(meals.map(meal => meal.name), { dryRun });
+
   for (const meal of meals) {
-    try {
-      // Generate embedding for the meal
-      const mealEmbedding = await generateMealEmbedding(meal.name);
+    const mealEmbedding = mealEmbeddings.get(meal.name);
+    if (!mealEmbedding) {
+      const error = embeddingErrors.get(meal.name) || new Error(`No embedding generated for "${meal.name}"`);
 
+      if (error.code === CIRCUIT_OPEN_CODE) {
+        // Not attempted - the provider is down, leave the meal for the next run
+        console.log(`⏭️  Skipping meal "${meal.name}": ${error.message}`);
+        skippedMeals.push(meal);
+      } else {
+        console.error(`❌ Embedding failed for meal "${meal.name}": ${error.message}`);
+        unmappedResults.push(buildFailedResult(meal, FAILURE_CATEGORIES.EMBEDDING_ERROR, { error }));
+      }
+      continue;
+    }
+
+    try {
+      // Uncertain diet classifications get a safe vegetarian image and a human review
+      const needsReview = isLowDietConfidence(meal.dietConfidence);
       const matchResult = findBestImageMatch(
         meal.name,
         mealEmbedding,
-        meal.isVegetarian,
-        imageEmbeddings
+        meal.dietClass || meal.isVegetarian,
+        imageEmbeddings,
+        { confidentVegetarianOnly: needsReview, mealType: meal.mealType, cuisine: meal.cuisine }
       );
 
       if(matchResult.mapped){
@@ -595,42 +1513,52 @@ async function processMealBatch(meals, imageEmbeddings) {
           imageName: matchResult.bestMatch?.name || null,
           cosineScore: matchResult.cosineScore,
           textScore: matchResult.textScore,
+          hybridScore: matchResult.hybridScore,
+          method: matchResult.method,
+          reason: matchResult.reason,
+          candidates: matchResult.candidates,
           mealIsVegetarian: meal.isVegetarian,
+          mealDietClass: normalizeDietClass(meal.dietClass || meal.isVegetarian),
+          mealDietSource: meal.dietSource || 'heuristic',
+          imageDietClass: matchResult.bestMatch?.dietClass || null,
+          imageDietSource: matchResult.bestMatch?.dietSource || 'heuristic',
+          mealDietConfidence: meal.dietConfidence ?? null,
+          imageDietConfidence: matchResult.bestMatch?.dietConfidence ?? null,
+          needsReview,
+          scoringInputs: buildScoringInputs(meal),
           processedAt: new Date().toISOString()
         };
   
         results.push(result);
       } else {
-        const unMappedResult = {
-          mealName: meal.name,
-          imageUrl: matchResult.url || null,
-          imageName: matchResult.bestMatch?.name || null,
-          cosineScore: matchResult.cosineScore,
-          textScore: matchResult.textScore,
-          mealIsVegetarian: meal.isVegetarian,
-          processedAt: new Date().toISOString()
-        }
-        unmappedResults.push(unMappedResult)
+        unmappedResults.push(buildFailedResult(meal, matchResult.failureCategory, { matchResult }));
       }
     } catch (error) {
       console.error(`❌ Error processing meal "${meal.name}":`, error);
+      unmappedResults.push(buildFailedResult(meal, FAILURE_CATEGORIES.PROCESSING_ERROR, { error }));
     }
   }
 
   return {
     results,
-    unmappedResults
+    unmappedResults,
+    skippedMeals
   }
 }
 
 /**
  * Update Firestore with mapping results
+ * Each mapping carries the run's provenance (see buildRunProvenance). A mapping that replaces
+ * an existing one first copies the previous document to its history subcollection, so bad
+ * runs can be audited and rolled back. historyDetails adds per-meal fields to those entries.
+ * Locked (manually curated) mappings are never overwritten; their meal names are returned.
  */
-async function updateFirestoreMappings(results) {
+async function updateFirestoreMappings(results, provenance, historyDetails = new Map()) {
   try {
     console.log(`💾 Updating Firestore with ${results.length} mappings...`);
     
     const mappingsCollection = collection(firestore, CONFIG.MAPPINGS_COLLECTION);
+    const lockedMealNames = [];
     let updateCount = 0;
 
     for (const result of results) {
@@ -638,17 +1566,66 @@ async function updateFirestoreMappings(results) {
         const docId = sanitizeMealNameForDocId(result.mealName);
         const docRef = doc(mappingsCollection, docId);
         
-        await setDoc(docRef, {
-          mealName: result.mealName,
-          imageUrl: result.imageUrl,
-          imageName: result.imageName,
-          cosineScore: result.cosineScore,
-          mealIsVegetarian: result.mealIsVegetarian,
-          // Additional metadata for weekly meal plans
-          createdAt: serverTimestamp(),
-          processedAt: result.processedAt
+        // Check the lock and write in one transaction, so a manual mapping saved while this
+        // run was matching is never overwritten
+        const written = await runTransaction(firestore, async (transaction) => {
+          const current = await transaction.get(docRef);
+          const previous = current.exists() ? current.data() : null;
+          if (isLockedMapping(previous)) {
+            return false;
+          }
+          if (previous) {
+            await recordMappingHistory(result.mealName, {
+              reason: provenance.mode,
+              requestId: provenance.requestId,
+              previous,
+              current: summarizeMapping(result),
+              ...historyDetails.get(result.mealName)
+            }, transaction);
+          }
+          
+          transaction.set(docRef, {
+            mealName: result.mealName,
+            imageUrl: result.imageUrl,
+            imageName: result.imageName,
+            cosineScore: result.cosineScore,
+            textScore: result.textScore,
+            hybridScore: result.hybridScore,
+            method: result.method,
+            reason: result.reason,
+            candidates: result.candidates || [],
+            mealIsVegetarian: result.mealIsVegetarian,
+            mealDietClass: result.mealDietClass,
+            mealDietSource: result.mealDietSource,
+            imageDietClass: result.imageDietClass,
+            imageDietSource: result.imageDietSource,
+            mealDietConfidence: result.mealDietConfidence,
+            imageDietConfidence: result.imageDietConfidence,
+            needsReview: result.needsReview,
+            scoringInputs: result.scoringInputs || null,
+            provenance: {
+              ...provenance,
+              diet: {
+                mealDietClass: result.mealDietClass,
+                mealDietSource: result.mealDietSource,
+                mealDietConfidence: result.mealDietConfidence,
+                imageDietClass: result.imageDietClass,
+                imageDietSource: result.imageDietSource
+              }
+            },
+            // Additional metadata for weekly meal plans
+            createdAt: serverTimestamp(),
+            processedAt: result.processedAt
+          });
+          return true;
         });
         
+        if (!written) {
+          console.log(`🔒 Keeping manual mapping for "${result.mealName}" (doc ID: ${docId})`);
+          lockedMealNames.push(result.mealName);
+          continue;
+        }
+        
         updateCount++;
         console.log(`✅ Updated mapping for "${result.mealName}" (doc ID: ${docId})`);
       }
@@ -659,6 +1636,7 @@ async function updateFirestoreMappings(results) {
     } else {
       console.log('ℹ️  No mappings to update in Firestore');
     }
+    return lockedMealNames;
     
   } catch (error) {
     console.error('❌ Error updating Firestore mappings:', error);
@@ -689,12 +1667,26 @@ async function storeFailedMappings(failedResults) {
       await setDoc(docRef, {
         mealName: result.mealName,
         mealIsVegetarian: result.mealIsVegetarian,
+        mealDietClass: result.mealDietClass,
+        mealDietSource: result.mealDietSource,
+        mealDietConfidence: result.mealDietConfidence,
+        needsReview: result.needsReview,
+        scoringInputs: result.scoringInputs || null,
         cosineScore: result.cosineScore,
+        textScore: result.textScore,
+        hybridScore: result.hybridScore,
+        method: result.method,
+        reason: result.reason,
+        candidates: result.candidates || [],
+        failureCategory: result.failureCategory || FAILURE_CATEGORIES.BELOW_THRESHOLD,
+        error: result.error || null,
         imageUrl: result.imageUrl,
         imageName: result.imageName,
+        // Counts every failed run for the meal (fetch, request or retryFailed)
+        attempts: increment(1),
         createdAt: serverTimestamp(),
         processedAt: result.processedAt
-      });
+      }, { merge: true });
       
       storeCount++;
       console.log(`✅ Stored failed mapping for "${result.mealName}" (doc ID: ${docId})`);
@@ -708,6 +1700,536 @@ async function storeFailedMappings(failedResults) {
   }
 }
 
+/**
+ * Record a change to a mapping in its history subcollection
+ * Entries hold the full previous document, so a mapping can be restored from its history.
+ * With a transaction the entry is written as part of it.
+ */
+async function recordMappingHistory(mealName, entry, transaction = null) {
+  const historyCollection = collection(
+    firestore,
+    CONFIG.MAPPINGS_COLLECTION,
+    sanitizeMealNameForDocId(mealName),
+    CONFIG.MAPPING_HISTORY_SUBCOLLECTION
+  );
+  const historyEntry = { ...entry, changedAt: serverTimestamp() };
+  if (transaction) {
+    transaction.set(doc(historyCollection), historyEntry);
+  } else {
+    await addDoc(historyCollection, historyEntry);
+  }
+}
+
+/**
+ * Read one page of stored mappings for remap mode, applying the filters
+ * Pages are ordered by document ID so a run can resume from the previous nextCursor.
+ * Only the image name is filtered in the query; score and date ranges are applied in memory
+ * to avoid needing composite indexes.
+ */
+async function fetchMappingsForRemap(options) {
+  const constraints = [];
+  if (options.imageName) {
+    constraints.push(where('imageName', '==', options.imageName));
+  }
+  constraints.push(orderBy(documentId(), 'asc'));
+  if (options.cursor) {
+    constraints.push(startAfter(options.cursor));
+  }
+  constraints.push(limit(options.limit));
+
+  const snapshot = await getDocs(query(collection(firestore, CONFIG.MAPPINGS_COLLECTION), ...constraints));
+  const mappings = snapshot.docs.map(mappingDoc => ({ docId: mappingDoc.id, mapping: mappingDoc.data() }));
+
+  // Manual mappings are never re-scored
+  const unlocked = mappings.filter(({ mapping }) => !isLockedMapping(mapping));
+  const eligible = unlocked.filter(({ mapping }) => {
+    const processedDate = typeof mapping.processedAt === 'string' ? mapping.processedAt.slice(0, 10) : null;
+    const cosineScore = typeof mapping.cosineScore === 'number' ? mapping.cosineScore : 0;
+    return mapping.mealName &&
+      (options.minCosineScore === null || cosineScore >= options.minCosineScore) &&
+      (options.maxCosineScore === null || cosineScore <= options.maxCosineScore) &&
+      (!options.mappedAfter || (processedDate && processedDate >= options.mappedAfter)) &&
+      (!options.mappedBefore || (processedDate && processedDate <= options.mappedBefore));
+  });
+
+  return {
+    scanned: mappings.length,
+    locked: mappings.length - unlocked.length,
+    eligible,
+    // A full page means there may be more mappings after it
+    nextCursor: mappings.length === options.limit ? mappings[mappings.length - 1].docId : null
+  };
+}
+
+/**
+ * Re-score stored mappings against the current image set (remap mode)
+ * A mapping is replaced only when the new best image differs and its cosine score beats the
+ * stored one by at least options.margin; every replacement is recorded in the mapping's history.
+ * Locked (manual) mappings are skipped.
+ */
+async function runRemap(options, { dryRun, context }) {
+  const { scanned, locked, eligible, nextCursor } = await fetchMappingsForRemap(options);
+  console.log(`🔁 Remapping ${eligible.length} of ${scanned} scanned mappings (margin ${options.margin})`);
+
+  const storedByName = new Map(eligible.map(({ mapping }) => [mapping.mealName, mapping]));
+  // Re-score with the stored description and meal type, so only a changed image set or
+  // override can change the result
+  const meals = eligible.map(({ docId, mapping }) => buildStoredMeal(`remap_${docId}`, mapping, 'remap'));
+
+  const stats = { scanned, locked, eligible: eligible.length, rescored: 0, updated: 0, unchanged: 0, belowMargin: 0, noMatch: 0, skipped: 0 };
+  const changes = [];
+  const changedResults = [];
+  let stoppedReason = null;
+  let resumeCursor = nextCursor;
+
+  for (let i = 0; i < meals.length; i += CONFIG.MAX_MEALS_PER_BATCH) {
+    if (context.getRemainingTimeInMillis() < 30000) {
+      console.log('⚠️  Approaching timeout, stopping remap');
+      stoppedReason = 'timeout';
+      // Resume right before the first mapping this run didn't get to
+      resumeCursor = i > 0 ? eligible[i - 1].docId : options.cursor;
+      stats.skipped += meals.length - i;
+      break;
+    }
+
+    const batch = meals.slice(i, i + CONFIG.MAX_MEALS_PER_BATCH);
+    const batchResults = await processMealBatch(batch, imageEmbeddings, { dryRun });
+    stats.rescored += batch.length - batchResults.skippedMeals.length;
+    stats.skipped += batchResults.skippedMeals.length;
+    stats.noMatch += batchResults.unmappedResults.length;
+
+    const batchChanges = [];
+    for (const result of batchResults.results) {
+      const stored = storedByName.get(result.mealName);
+      const improvement = result.cosineScore - (typeof stored.cosineScore === 'number' ? stored.cosineScore : 0);
+
+      if (result.imageUrl === stored.imageUrl) {
+        stats.unchanged++;
+      } else if (improvement < options.margin) {
+        stats.belowMargin++;
+      } else {
+        batchChanges.push({ result, stored, improvement });
+      }
+    }
+
+    if (!dryRun && batchChanges.length > 0) {
+      await updateFirestoreMappings(
+        batchChanges.map(change => change.result),
+        buildRunProvenance(context.awsRequestId, 'remap'),
+        new Map(batchChanges.map(({ result, improvement }) => [result.mealName, { margin: options.margin, improvement }]))
+      );
+    }
+
+    for (const { result, stored, improvement } of batchChanges) {
+      changes.push({ mealName: result.mealName, improvement, before: summarizeMapping(stored), after: summarizeMapping(result) });
+      changedResults.push(result);
+    }
+    stats.updated += batchChanges.length;
+
+    if (embeddingCircuitBreaker.isOpen()) {
+      console.log('🚫 Embedding provider unavailable, stopping remap');
+      stoppedReason = 'embedding_provider_unavailable';
+      // Resume at this batch: its skipped meals weren't re-scored, and re-scoring the rest is harmless
+      resumeCursor = i > 0 ? eligible[i - 1].docId : options.cursor;
+      stats.skipped += meals.length - (i + batch.length);
+      break;
+    }
+  }
+
+  console.log(`✅ Remap ${dryRun ? 'dry run ' : ''}finished: ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.belowMargin} below margin, ${stats.noMatch} without a match`);
+  return { stats, changes, changedResults, stoppedReason, nextCursor: resumeCursor };
+}
+
+/**
+ * Delete failed mapping documents (meals that are now mapped)
+ */
+async function deleteFailedMappings(docIds) {
+  const failedCollection = collection(firestore, CONFIG.FAILED_MAPPINGS_COLLECTION);
+  await Promise.all(docIds.map(docId => deleteDoc(doc(failedCollection, docId))));
+  if (docIds.length > 0) {
+    console.log(`🧹 Removed ${docIds.length} resolved failed mappings`);
+  }
+}
+
+/**
+ * Retry the meals recorded in failedImageMappings (retryFailed mode)
+ * Meals that now match are moved to mealImageMappings; meals that still fail are stored again,
+ * which increments their attempt counter. Meals still failing for lack of a suitable image after
+ * CONFIG.NEEDS_IMAGE_ATTEMPTS attempts are returned as imagesNeeded.
+ */
+async function runRetryFailed(options, { dryRun, context }) {
+  const constraints = [];
+  if (options.failureCategory) {
+    constraints.push(where('failureCategory', '==', options.failureCategory));
+  }
+  constraints.push(orderBy(documentId(), 'asc'));
+  if (options.cursor) {
+    constraints.push(startAfter(options.cursor));
+  }
+  constraints.push(limit(options.limit));
+
+  const snapshot = await getDocs(query(collection(firestore, CONFIG.FAILED_MAPPINGS_COLLECTION), ...constraints));
+  const failedDocs = snapshot.docs
+    .map(failedDoc => ({ docId: failedDoc.id, failed: failedDoc.data() }))
+    .filter(({ failed }) => failed.mealName);
+  const stats = { scanned: snapshot.docs.length, retried: 0, recovered: 0, stillFailing: 0, alreadyMapped: 0, skipped: 0 };
+  let resumeCursor = snapshot.docs.length === options.limit ? snapshot.docs[snapshot.docs.length - 1].id : null;
+
+  // Meals mapped since they failed (e.g. by a request-mode run) only need their failed doc removed
+  const storedMappings = await fetchStoredMappings(failedDocs.map(({ failed }) => failed.mealName));
+  const resolvedDocIds = failedDocs.filter(({ failed }) => storedMappings.has(failed.mealName)).map(({ docId }) => docId);
+  stats.alreadyMapped = resolvedDocIds.length;
+  if (!dryRun) {
+    await deleteFailedMappings(resolvedDocIds);
+  }
+
+  const pending = failedDocs.filter(({ failed }) => !storedMappings.has(failed.mealName));
+  const failedByName = new Map(pending.map(({ docId, failed }) => [failed.mealName, { docId, failed }]));
+  // Re-classified so overrides added since the meal failed apply
+  const meals = pending.map(({ docId, failed }) => buildStoredMeal(`retry_${docId}`, failed, 'retryFailed'));
+  console.log(`🔁 Retrying ${meals.length} of ${stats.scanned} failed mappings (${stats.alreadyMapped} already mapped)`);
+
+  const recoveredResults = [];
+  const failedResults = [];
+  const failureCounts = {};
+  const imagesNeeded = [];
+  let stoppedReason = null;
+
+  for (let i = 0; i < meals.length; i += CONFIG.MAX_MEALS_PER_BATCH) {
+    if (context.getRemainingTimeInMillis() < 30000) {
+      console.log('⚠️  Approaching timeout, stopping retry');
+      stoppedReason = 'timeout';
+      // Resume right before the first failed mapping this run didn't get to
+      resumeCursor = i > 0 ? pending[i - 1].docId : options.cursor;
+      stats.skipped += meals.length - i;
+      break;
+    }
+
+    const batch = meals.slice(i, i + CONFIG.MAX_MEALS_PER_BATCH);
+    const batchResults = await processMealBatch(batch, imageEmbeddings, { dryRun });
+    stats.retried += batch.length - batchResults.skippedMeals.length;
+    stats.skipped += batchResults.skippedMeals.length;
+    stats.recovered += batchResults.results.length;
+    stats.stillFailing += batchResults.unmappedResults.length;
+
+    if (!dryRun) {
+      await updateFirestoreMappings(batchResults.results, buildRunProvenance(context.awsRequestId, 'retryFailed'));
+      await deleteFailedMappings(batchResults.results.map(result => failedByName.get(result.mealName).docId));
+      await storeFailedMappings(batchResults.unmappedResults);
+    }
+
+    recoveredResults.push(...batchResults.results);
+    failedResults.push(...batchResults.unmappedResults);
+    for (const result of batchResults.unmappedResults) {
+      failureCounts[result.failureCategory] = (failureCounts[result.failureCategory] || 0) + 1;
+
+      const attempts = (failedByName.get(result.mealName).failed.attempts || 0) + 1;
+      if (attempts >= CONFIG.NEEDS_IMAGE_ATTEMPTS && IMAGE_GAP_CATEGORIES.includes(result.failureCategory)) {
+        imagesNeeded.push({
+          mealName: result.mealName,
+          mealDietClass: result.mealDietClass,
+          attempts,
+          failureCategory: result.failureCategory,
+          closestImageName: result.imageName,
+          cosineScore: result.cosineScore
+        });
+      }
+    }
+
+    if (embeddingCircuitBreaker.isOpen()) {
+      console.log('🚫 Embedding provider unavailable, stopping retry');
+      stoppedReason = 'embedding_provider_unavailable';
+      // Resume at this batch: its skipped meals weren't retried
+      resumeCursor = i > 0 ? pending[i - 1].docId : options.cursor;
+      stats.skipped += meals.length - (i + batch.length);
+      break;
+    }
+  }
+
+  // Most-attempted meals first: they have waited longest for an image
+  imagesNeeded.sort((a, b) => b.attempts - a.attempts);
+  console.log(`✅ Retry ${dryRun ? 'dry run ' : ''}finished: ${stats.recovered} recovered, ${stats.stillFailing} still failing, ${imagesNeeded.length} need a new image`);
+  return { stats, recoveredResults, failedResults, failureCounts, imagesNeeded, stoppedReason, nextCursor: resumeCursor };
+}
+
+/**
+ * Resolve an image's diet class the way loadEmbeddings does (images without an embedding are classified here)
+ */
+function resolveImageDiet(imageName, imageUrl) {
+  const embedding = imageEmbeddings.find(entry => entry.name === imageName);
+  if (embedding) {
+    return embedding;
+  }
+  const override = dietOverrides?.getImageOverride(imageName);
+  if (override) {
+    return { dietClass: override.dietClass, compatibleDiets: getCompatibleDietsForClass(override.dietClass), dietSource: 'override', dietConfidence: 1 };
+  }
+  const heuristic = classifyImageDiet(imageUrl, imageName, '');
+  return { ...heuristic, dietSource: 'heuristic', dietConfidence: heuristic.confidence };
+}
+
+/**
+ * Set or clear a hand-picked mapping (manual mode)
+ * A set mapping is stored with source 'manual' and locked: true, so automated runs keep it.
+ * The image must exist in cuisines.json and suit the meal's diet class (fix a wrong meal diet
+ * with a diet override). Clearing deletes the manual mapping so the next run maps the meal again.
+ * Both record the previous mapping in its history.
+ */
+async function applyManualMapping(options, { dryRun, requestId }) {
+  const { action, mealName, imageName } = options;
+  const docId = sanitizeMealNameForDocId(mealName);
+  const mappingRef = doc(collection(firestore, CONFIG.MAPPINGS_COLLECTION), docId);
+  const previous = (await fetchStoredMappings([mealName])).get(mealName) || null;
+
+  if (action === 'clear') {
+    if (!isLockedMapping(previous)) {
+      throw createRequestError(`No manual mapping found for "${mealName}"`, { statusCode: 404, code: ERROR_CODES.MAPPING_NOT_FOUND });
+    }
+    if (!dryRun) {
+      await recordMappingHistory(mealName, { reason: 'manual', action, requestId: requestId || null, previous, current: null });
+      await deleteDoc(mappingRef);
+    }
+    console.log(`🔓 ${dryRun ? 'Would clear' : 'Cleared'} manual mapping for "${mealName}"`);
+    return { action, mealName, previous: summarizeMapping(previous), mapping: null };
+  }
+
+  const image = cuisineMap[imageName];
+  if (!image) {
+    throw createRequestError(`Image "${imageName}" is not in cuisines.json`, { statusCode: 422, code: ERROR_CODES.UNKNOWN_IMAGE });
+  }
+
+  const meal = classifyMeal(mealName, '');
+  const imageDiet = resolveImageDiet(imageName, image.imageUrl);
+  if (!isDietCompatible(meal.dietClass, imageDiet)) {
+    throw createRequestError(`Image "${imageName}" (${imageDiet.dietClass}) is not suitable for "${mealName}" (${meal.dietClass})`, {
+      statusCode: 422,
+      code: ERROR_CODES.DIET_MISMATCH,
+      details: { mealDietClass: meal.dietClass, mealDietSource: meal.dietSource, imageDietClass: imageDiet.dietClass }
+    });
+  }
+
+  const mapping = {
+    mealName,
+    imageUrl: image.imageUrl,
+    imageName,
+    cosineScore: null,
+    textScore: null,
+    hybridScore: null,
+    method: 'manual',
+    reason: 'Set manually',
+    candidates: [],
+    mealIsVegetarian: meal.isVegetarian,
+    mealDietClass: meal.dietClass,
+    mealDietSource: meal.dietSource,
+    imageDietClass: imageDiet.dietClass,
+    imageDietSource: imageDiet.dietSource,
+    mealDietConfidence: meal.dietConfidence,
+    imageDietConfidence: imageDiet.dietConfidence,
+    needsReview: false,
+    source: 'manual',
+    locked: true,
+    provenance: {
+      requestId: requestId || null,
+      mode: 'manual',
+      diet: {
+        mealDietClass: meal.dietClass,
+        mealDietSource: meal.dietSource,
+        mealDietConfidence: meal.dietConfidence,
+        imageDietClass: imageDiet.dietClass,
+        imageDietSource: imageDiet.dietSource
+      }
+    },
+    processedAt: new Date().toISOString()
+  };
+
+  if (!dryRun) {
+    if (previous) {
+      await recordMappingHistory(mealName, { reason: 'manual', action, requestId: requestId || null, previous, current: summarizeMapping(mapping) });
+    }
+    await setDoc(mappingRef, { ...mapping, createdAt: serverTimestamp() });
+    // The meal is mapped now, so it no longer belongs in failedImageMappings
+    await deleteFailedMappings([docId]);
+  }
+  console.log(`🔒 ${dryRun ? 'Would set' : 'Set'} manual mapping "${mealName}" -> "${imageName}"`);
+  return { action, mealName, previous: previous ? summarizeMapping(previous) : null, mapping };
+}
+
+/**
+ * Fingerprint the loaded image set: names, URLs, diet classes, metadata and vectors
+ * Any change to image-embeddings.json or cuisines.json that can change a match changes the hash.
+ */
+function computeImageSetHash(embeddings, cuisines) {
+  const hash = crypto.createHash('sha256');
+  const entries = [...embeddings].sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+  for (const entry of entries) {
+    hash.update(JSON.stringify([
+      entry.name,
+      cuisines[entry.name]?.imageUrl || null,
+      entry.dietClass,
+      entry.metadata || null,
+      entry.embedding
+    ]));
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Describe how this invocation produces mappings (stored as each mapping's provenance)
+ */
+function buildRunProvenance(requestId, mode) {
+  return {
+    requestId: requestId || null,
+    mode,
+    embeddingModel: getEmbeddingModelId(),
+    imageSet: {
+      version: CONFIG.IMAGE_SET_VERSION,
+      hash: imageSetHash,
+      imageCount: imageEmbeddings ? imageEmbeddings.length : 0
+    },
+    thresholds: {
+      cosineSimilarity: CONFIG.COSINE_SIMILARITY_THRESHOLD,
+      textSimilarity: CONFIG.TEXT_SIMILARITY_THRESHOLD,
+      hybridCosineWeight: CONFIG.HYBRID_COSINE_WEIGHT,
+      hybridTextWeight: CONFIG.HYBRID_TEXT_WEIGHT,
+      dietConfidence: CONFIG.DIET_CONFIDENCE_THRESHOLD,
+      mealTypeMatch: CONFIG.MEAL_TYPE_MATCH,
+      mealTypeBoost: CONFIG.MEAL_TYPE_BOOST,
+      cuisineMatch: CONFIG.CUISINE_MATCH,
+      cuisineBoost: CONFIG.CUISINE_BOOST
+    }
+  };
+}
+
+/**
+ * Load cuisines, image embeddings and diet overrides once per container
+ */
+async function ensureDataLoaded() {
+  if (cuisineMap && imageEmbeddings) {
+    return;
+  }
+  
+  validateContextMatchConfig();
+  
+  // Overrides must be in place before image diet classes are computed
+  dietOverrides = await loadDietOverrideRegistry();
+  
+  const [loadedCuisineMap, loadedEmbeddings] = await Promise.all([
+    loadCuisineMap(),
+    loadEmbeddings()
+  ]);
+  
+  // Drop embeddings that can never resolve to an image URL
+  const { embeddings: usableEmbeddings, report } = validateDataIntegrity(loadedCuisineMap, loadedEmbeddings);
+  
+  // Fail fast if the provider's vectors can't be compared with the image embeddings
+  await validateProviderDimensions(getEmbeddingProvider(), usableEmbeddings);
+  [cuisineMap, imageEmbeddings, dataIntegrityReport] = [loadedCuisineMap, usableEmbeddings, report];
+  imageSetHash = computeImageSetHash(usableEmbeddings, loadedCuisineMap);
+  console.log(`🖼️  Image set ${CONFIG.IMAGE_SET_VERSION || 'unversioned'} (hash ${imageSetHash}, ${usableEmbeddings.length} images)`);
+}
+
+/**
+ * Summarize a mapping for dry-run diffs
+ */
+function summarizeMapping(mapping) {
+  return {
+    imageUrl: mapping.imageUrl,
+    imageName: mapping.imageName,
+    cosineScore: mapping.cosineScore,
+    hybridScore: mapping.hybridScore,
+    method: mapping.method
+  };
+}
+
+/**
+ * Compare a dry run's results with the stored mappings
+ * Lists the mappings that would be created or overwritten (with imageChanged when the
+ * image differs), the locked (manual) mappings that would be kept instead, and the meals
+ * that would be recorded as failed mappings.
+ */
+async function buildMappingDiff(results, unmappedResults) {
+  const storedMappings = await fetchStoredMappings([...results, ...unmappedResults].map(result => result.mealName));
+  const diff = { create: [], overwrite: [], locked: [], failed: [] };
+
+  for (const result of results) {
+    const stored = storedMappings.get(result.mealName);
+    if (isLockedMapping(stored)) {
+      diff.locked.push({ mealName: result.mealName, kept: summarizeMapping(stored), computed: summarizeMapping(result) });
+    } else if (!stored) {
+      diff.create.push({ mealName: result.mealName, after: summarizeMapping(result) });
+    } else {
+      diff.overwrite.push({
+        mealName: result.mealName,
+        imageChanged: stored.imageUrl !== result.imageUrl,
+        before: summarizeMapping(stored),
+        after: summarizeMapping(result)
+      });
+    }
+  }
+
+  for (const result of unmappedResults) {
+    const stored = storedMappings.get(result.mealName);
+    diff.failed.push({
+      mealName: result.mealName,
+      failureCategory: result.failureCategory,
+      reason: result.reason,
+      existingImageUrl: stored ? stored.imageUrl : null
+    });
+  }
+
+  return {
+    counts: {
+      create: diff.create.length,
+      overwrite: diff.overwrite.length,
+      imageChanged: diff.overwrite.filter(entry => entry.imageChanged).length,
+      locked: diff.locked.length,
+      failed: diff.failed.length
+    },
+    ...diff
+  };
+}
+
+/**
+ * Convert a stored mapping document into a lookup result
+ */
+function buildCachedResult(mealName, mapping) {
+  return {
+    mealName,
+    imageUrl: mapping.imageUrl,
+    imageName: mapping.imageName,
+    cosineScore: mapping.cosineScore,
+    textScore: mapping.textScore,
+    hybridScore: mapping.hybridScore,
+    method: mapping.method,
+    reason: mapping.reason,
+    mealDietClass: mapping.mealDietClass,
+    needsReview: mapping.needsReview,
+    cached: true
+  };
+}
+
+/**
+ * Shape a stored failed mapping like a lookup result
+ * The closest image stays out of imageUrl, so it never reaches mealImageMappings.
+ */
+function buildCachedFailure(mealName, failed) {
+  return {
+    mealName,
+    imageUrl: null,
+    closestImageName: failed.imageName || null,
+    cosineScore: failed.cosineScore,
+    textScore: failed.textScore,
+    hybridScore: failed.hybridScore,
+    method: failed.method,
+    reason: failed.reason,
+    failureCategory: failed.failureCategory,
+    attempts: failed.attempts || 1,
+    mealDietClass: failed.mealDietClass,
+    needsReview: failed.needsReview,
+    cached: true
+  };
+}
+
 /**
  * Main Lambda handler
  */
@@ -717,6 +2239,11 @@ exports.handler = async (event, context) => {
     localMode: CONFIG.LOCAL_MODE,
     cosineThreshold: CONFIG.COSINE_SIMILARITY_THRESHOLD,
     textThreshold: CONFIG.TEXT_SIMILARITY_THRESHOLD,
+    hybridWeights: { cosine: CONFIG.HYBRID_COSINE_WEIGHT, text: CONFIG.HYBRID_TEXT_WEIGHT },
+    topK: CONFIG.TOP_K_CANDIDATES,
+    embeddingProvider: CONFIG.EMBEDDING_PROVIDER,
+    embeddingModel: CONFIG.EMBEDDING_MODEL,
+    embeddingCache: CONFIG.EMBEDDING_CACHE_BACKEND,
     maxBatchSize: CONFIG.MAX_MEALS_PER_BATCH,
     maxExecutionTime: CONFIG.MAX_EXECUTION_TIME_MS,
     s3Bucket: CONFIG.S3_BUCKET || 'Not configured'
@@ -724,56 +2251,203 @@ exports.handler = async (event, context) => {
   
   const startTime = Date.now();
   let processedCount = 0;
+  let skippedCount = 0;
+  let stoppedReason = null;
   let mode = 'fetch'; // Default mode: fetch from Firestore
   
+  // Give the embedding provider a fresh chance on every invocation
+  embeddingCircuitBreaker.reset();
+  
   try {
-    // Load data from S3 or local files
-    if(!cuisineMap || !imageEmbeddings) {
-      [cuisineMap, imageEmbeddings] = await Promise.all([
-        loadCuisineMap(),
-        loadEmbeddings()
-      ]);
+    // Validate the request before any data is loaded
+    const invocation = parseInvocationEvent(event, { maxBodyBytes: CONFIG.MAX_REQUEST_BODY_BYTES });
+    if (invocation.method === 'OPTIONS') {
+      return buildPreflightResponse({ corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
+    }
+    
+    const payload = invocation.payload; // Direct invocations carry options on the event itself, EventBridge events in detail
+    const request = validateRequestPayload(payload, {
+      maxMealNames: CONFIG.MAX_REQUEST_MEAL_NAMES,
+      maxMealNameLength: CONFIG.MAX_MEAL_NAME_LENGTH
+    }, { format: invocation.format });
+    const { mealNames } = request;
+    mode = request.mode;
+    // Dry runs never write; lookups only store the mappings they compute when asked to
+    const { dryRun } = request;
+    const persistResults = !dryRun && (mode !== 'lookup' || request.persist);
+    if (dryRun) {
+      console.log('🧪 Dry run: results are computed but nothing is written to Firestore');
+    }
+    const fetchOptions = mode === 'fetch' ? parseFetchOptions(payload) : null;
+    const remapOptions = mode === 'remap' ? parseRemapOptions(payload) : null;
+    const retryOptions = mode === 'retryFailed' ? parseRetryOptions(payload) : null;
+    const manualOptions = mode === 'manual' ? parseManualMappingOptions(payload) : null;
+    
+    // Lookups answered entirely from stored mappings never load the image data
+    if (mode !== 'lookup') {
+      await ensureDataLoaded();
+    }
+    
+    if (mode === 'remap') {
+      console.log('🔁 Processing mode: REMAP - re-scoring stored mappings against the current image set');
+      const remap = await runRemap(remapOptions, { dryRun, context });
+      processedCount = remap.stats.rescored;
+      
+      if (!dryRun) {
+        try {
+          await getEmbeddingCache().flush();
+        } catch (error) {
+          console.error('⚠️  Error saving meal embedding cache:', error);
+        }
+      }
+      
+      const { skipped, ...remapStats } = remap.stats;
+      return buildResponse(200, {
+        message: dryRun ? 'Meal-image remap dry run completed (nothing was written)' : 'Meal-image remap completed',
+        mode,
+        dryRun,
+        processedCount,
+        skippedCount: skipped,
+        stoppedReason: remap.stoppedReason,
+        remap: { ...remapStats, margin: remapOptions.margin, nextCursor: remap.nextCursor },
+        changes: remap.changes,
+        executionTimeMs: Date.now() - startTime,
+        dataIntegrity: dataIntegrityReport,
+        diff: dryRun ? await buildMappingDiff(remap.changedResults, []) : undefined,
+        results: remap.changedResults
+      }, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
+    }
+    
+    if (mode === 'manual') {
+      console.log(`✋ Processing mode: MANUAL - ${manualOptions.action} the mapping for "${manualOptions.mealName}"`);
+      const manual = await applyManualMapping(manualOptions, { dryRun, requestId: context.awsRequestId });
+      return buildResponse(200, {
+        message: dryRun ? 'Manual mapping dry run completed (nothing was written)' : `Manual mapping ${manualOptions.action === 'set' ? 'set' : 'cleared'}`,
+        mode,
+        dryRun,
+        ...manual,
+        executionTimeMs: Date.now() - startTime
+      }, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
+    }
+    
+    if (mode === 'retryFailed') {
+      console.log('🔁 Processing mode: RETRY FAILED - re-matching meals recorded in failedImageMappings');
+      const retry = await runRetryFailed(retryOptions, { dryRun, context });
+      processedCount = retry.stats.retried;
+      
+      if (!dryRun) {
+        try {
+          await getEmbeddingCache().flush();
+        } catch (error) {
+          console.error('⚠️  Error saving meal embedding cache:', error);
+        }
+      }
+      
+      const { skipped, ...retryStats } = retry.stats;
+      return buildResponse(200, {
+        message: dryRun ? 'Failed mapping retry dry run completed (nothing was written)' : 'Failed mapping retry completed',
+        mode,
+        dryRun,
+        processedCount,
+        skippedCount: skipped,
+        stoppedReason: retry.stoppedReason,
+        failureCounts: retry.failureCounts,
+        retry: { ...retryStats, nextCursor: retry.nextCursor },
+        imagesNeeded: retry.imagesNeeded,
+        executionTimeMs: Date.now() - startTime,
+        dataIntegrity: dataIntegrityReport,
+        diff: dryRun ? await buildMappingDiff(retry.recoveredResults, retry.failedResults) : undefined,
+        results: retry.recoveredResults
+      }, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
     }
 
     // Determine processing mode based on event
     let mealsToProcess = [];
+    let fetchScan = null;
+    let mealSource = null;
+    const queueStats = { claimed: 0, completed: 0, enqueued: 0 };
+    const cachedResults = [];
+    const cachedFailures = [];
     
-    // Check if this is a request with meal names
-    if (event.body) {
-      try {
-        const requestBody = JSON.parse(event.body);
-        if (requestBody.mealNames && Array.isArray(requestBody.mealNames) && requestBody.mealNames.length > 0) {
-          mode = 'request';
-          console.log('📝 Processing mode: REQUEST - meal names provided in request body');
-          mealsToProcess = await processRequestMeals(requestBody.mealNames);
+    if (mode === 'request') {
+      console.log('📝 Processing mode: REQUEST - meal names provided in request body');
+      mealsToProcess = await processRequestMeals(mealNames);
+    } else if (mode === 'lookup') {
+      console.log('📖 Processing mode: LOOKUP - returning stored mappings, computing missing ones');
+      const storedMappings = await fetchStoredMappings(mealNames);
+      const unmappedMealNames = Array.from(new Set(mealNames)).filter(mealName => !storedMappings.has(mealName));
+      // Meals that failed because no suitable image exists fail again until the image set changes
+      // (retryFailed re-runs them), so they are answered from failedImageMappings too
+      const storedFailures = await fetchStoredMappings(unmappedMealNames, CONFIG.FAILED_MAPPINGS_COLLECTION);
+      const missingMealNames = [];
+      for (const mealName of new Set(mealNames)) {
+        const failed = storedFailures.get(mealName);
+        if (storedMappings.has(mealName)) {
+          cachedResults.push(buildCachedResult(mealName, storedMappings.get(mealName)));
+        } else if (failed && IMAGE_GAP_CATEGORIES.includes(failed.failureCategory)) {
+          cachedFailures.push(buildCachedFailure(mealName, failed));
+        } else {
+          missingMealNames.push(mealName);
         }
-      } catch (parseError) {
-        console.log('⚠️  Could not parse request body, falling back to fetch mode');
       }
-    }
-    
-    // If not request mode, fetch unmapped meals from Firestore
-    if (mode === 'fetch') {
+      
+      console.log(`📖 ${cachedResults.length} meals found in stored mappings, ${cachedFailures.length} in failed mappings, ${missingMealNames.length} to compute`);
+      if (missingMealNames.length > 0) {
+        await ensureDataLoaded();
+        mealsToProcess = await processRequestMeals(missingMealNames);
+      }
+    } else {
       console.log('🔍 Processing mode: FETCH - fetching unmapped meals from Firestore');
-      mealsToProcess = await fetchUnmappedMeals();
+      
+      // Finish meals left over by earlier runs before scanning mealPlans again
+      // (explicit backfill ranges always scan)
+      if (!fetchOptions.startDate && !fetchOptions.endDate) {
+        // Dry runs preview queued meals without leasing them
+        const claimedMeals = dryRun
+          ? await getWorkQueue().peek(CONFIG.WORK_QUEUE_CLAIM_LIMIT)
+          : await getWorkQueue().claim(context.awsRequestId, CONFIG.WORK_QUEUE_CLAIM_LIMIT);
+        // Re-classify so overrides added since the meal was queued apply
+        mealsToProcess = claimedMeals.map(meal => ({ ...meal, ...classifyMeal(meal.name, meal.description || '') }));
+        queueStats.claimed = mealsToProcess.length;
+      }
+      
+      if (mealsToProcess.length > 0) {
+        mealSource = 'queue';
+        console.log(`📤 Processing ${mealsToProcess.length} queued meals, skipping meal plan scan`);
+      } else {
+        mealSource = 'scan';
+        fetchScan = await fetchUnmappedMeals(fetchOptions);
+        mealsToProcess = fetchScan.meals;
+      }
     }
     
-    if (mealsToProcess.length === 0) {
-      const message = mode === 'request' ? 'No meal names provided in request' : 'No unmapped meals found';
+    if (mealsToProcess.length === 0 && mode === 'fetch') {
+      const message = 'No unmapped meals found';
       console.log(`✅ ${message}`);
-      return {
-        statusCode: 200,
-        body: JSON.stringify({
-          message,
-          mode,
-          processedCount: 0,
-          executionTimeMs: Date.now() - startTime
-        })
-      };
+      
+      // Nothing left to map in the scanned plans, so the high-water mark can move forward
+      if (!dryRun && fetchOptions?.incremental && fetchScan.lastScanned) {
+        await saveFetchCursor(fetchScan.lastScanned);
+      }
+      
+      return buildResponse(200, {
+        message,
+        mode,
+        dryRun,
+        processedCount: 0,
+        executionTimeMs: Date.now() - startTime,
+        fetchWindow: fetchScan?.window,
+        dataIntegrity: dataIntegrityReport
+      }, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
     }
     
     // Process meals in batches
     const allResults = [];
+    const failureCounts = {};
+    let needsReviewCount = 0;
+    const lockedMealNames = [];
+    const leftoverMeals = [];
+    const allUnmappedResults = [];
     const batchSize = CONFIG.MAX_MEALS_PER_BATCH;
     
     for (let i = 0; i < mealsToProcess.length; i += batchSize) {
@@ -781,6 +2455,9 @@ exports.handler = async (event, context) => {
       const remainingTime = context.getRemainingTimeInMillis();
       if (remainingTime < 30000) { // Less than 30 seconds left
         console.log('⚠️  Approaching timeout, stopping processing');
+        stoppedReason = 'timeout';
+        skippedCount += mealsToProcess.length - i;
+        leftoverMeals.push(...mealsToProcess.slice(i));
         break;
       }
       
@@ -790,16 +2467,61 @@ exports.handler = async (event, context) => {
       
       console.log(`🔄 Processing batch ${batchNumber}/${totalBatches} (${batch.length} meals)`);
       
-      const batchResults = await processMealBatch(batch, imageEmbeddings);
+      const batchResults = await processMealBatch(batch, imageEmbeddings, { dryRun });
       allResults.push(...batchResults.results);
-      processedCount += batch.length;
+      allUnmappedResults.push(...batchResults.unmappedResults);
+      processedCount += batch.length - batchResults.skippedMeals.length;
+      skippedCount += batchResults.skippedMeals.length;
+      leftoverMeals.push(...batchResults.skippedMeals);
+      needsReviewCount += [...batchResults.results, ...batchResults.unmappedResults].filter(result => result.needsReview).length;
       
       // Update Firestore after each batch to avoid losing progress
-      await updateFirestoreMappings(batchResults.results);
+      if (persistResults) {
+        lockedMealNames.push(...await updateFirestoreMappings(batchResults.results, buildRunProvenance(context.awsRequestId, mode)));
+      }
       
       // Store failed mappings (where bestMatch is null)
       if (batchResults.unmappedResults.length > 0) {
-        await storeFailedMappings(batchResults.unmappedResults);
+        if (persistResults) {
+          await storeFailedMappings(batchResults.unmappedResults);
+        }
+        batchResults.unmappedResults.forEach(result => {
+          failureCounts[result.failureCategory] = (failureCounts[result.failureCategory] || 0) + 1;
+        });
+      }
+      
+      // Queued meals that were mapped or recorded as failed are done
+      if (mealSource === 'queue' && !dryRun) {
+        const skipped = new Set(batchResults.skippedMeals);
+        queueStats.completed += await getWorkQueue().complete(batch.filter(meal => !skipped.has(meal)));
+      }
+      
+      // Stop cleanly if the embedding provider is down; remaining meals are picked up next run
+      if (embeddingCircuitBreaker.isOpen()) {
+        console.log('🚫 Embedding provider unavailable, stopping processing');
+        stoppedReason = 'embedding_provider_unavailable';
+        skippedCount += mealsToProcess.length - (i + batch.length);
+        leftoverMeals.push(...mealsToProcess.slice(i + batch.length));
+        break;
+      }
+    }
+    
+    if (mode === 'fetch' && !dryRun) {
+      // Queue whatever this run couldn't get to so the next invocation finishes it first
+      queueStats.enqueued = await getWorkQueue().enqueue(leftoverMeals);
+      
+      // Every scanned meal is now either processed or queued, so the high-water mark can move
+      if (fetchOptions.incremental && fetchScan?.lastScanned) {
+        await saveFetchCursor(fetchScan.lastScanned);
+      }
+    }
+    
+    // Persist newly generated meal embeddings for future runs
+    if (!dryRun) {
+      try {
+        await getEmbeddingCache().flush();
+      } catch (error) {
+        console.error('⚠️  Error saving meal embedding cache:', error);
       }
     }
     
@@ -812,19 +2534,33 @@ exports.handler = async (event, context) => {
     
     // Format response based on mode
     const response = {
-      message: 'Meal-image mapping completed',
+      message: dryRun ? 'Meal-image mapping dry run completed (nothing was written)' : 'Meal-image mapping completed',
       mode,
+      dryRun,
       processedCount,
+      skippedCount,
+      stoppedReason,
+      failureCounts,
+      needsReviewCount,
+      lockedMealNames,
+      fetchWindow: fetchScan?.window,
+      mealSource,
+      queue: mode === 'fetch' ? queueStats : undefined,
+      lookup: mode === 'lookup'
+        ? { cachedCount: cachedResults.length, cachedFailureCount: cachedFailures.length, computedCount: processedCount, persisted: persistResults }
+        : undefined,
       // successfulMappings,
       // failedMappings,
       executionTimeMs: executionTime,
-      results: allResults
+      dataIntegrity: dataIntegrityReport,
+      diff: dryRun ? await buildMappingDiff(allResults, allUnmappedResults) : undefined,
+      results: [...cachedResults, ...cachedFailures, ...allResults]
     };
     
-    // For request mode, also provide a simplified mapping object
-    if (mode === 'request') {
+    // For request and lookup mode, also provide a simplified mapping object
+    if (mode === 'request' || mode === 'lookup') {
       const mealImageMappings = {};
-      allResults.forEach(result => {
+      response.results.forEach(result => {
         if (result.imageUrl && result.method !== 'error') {
           mealImageMappings[result.mealName] = result.imageUrl;
         }
@@ -832,22 +2568,35 @@ exports.handler = async (event, context) => {
       response.mealImageMappings = mealImageMappings;
     }
     
-    return {
-      statusCode: 200,
-      body: JSON.stringify(response)
-    };
+    return buildResponse(200, response, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
     
   } catch (error) {
     console.error('❌ Error in Lambda function:', error);
     
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        error: error.message,
-        mode,
-        processedCount,
-        executionTimeMs: Date.now() - startTime
-      })
-    };
+    return buildResponse(error.statusCode || 500, {
+      error: error.message,
+      code: error.code || ERROR_CODES.INTERNAL_ERROR,
+      details: error.details,
+      mode,
+      processedCount,
+      executionTimeMs: Date.now() - startTime
+    }, { corsOrigin: CONFIG.CORS_ALLOWED_ORIGIN });
   }
 };
+
+// Exported for local testing
+exports.calculateCosineSimilarity = calculateCosineSimilarity;
+exports.calculateTextSimilarity = calculateTextSimilarity;
+exports.calculateHybridScore = calculateHybridScore;
+exports.classifyMatch = classifyMatch;
+exports.findBestImageMatch = findBestImageMatch;
+exports.loadEmbeddings = loadEmbeddings;
+exports.validateDataIntegrity = validateDataIntegrity;
+exports.fetchStoredMappings = fetchStoredMappings;
+exports.parseFetchOptions = parseFetchOptions;
+exports.parseRemapOptions = parseRemapOptions;
+exports.parseRetryOptions = parseRetryOptions;
+exports.computeImageSetHash = computeImageSetHash;
+exports.parseManualMappingOptions = parseManualMappingOptions;
+exports.generateMealEmbeddings = generateMealEmbeddings;
+exports.processMealBatch = processMealBatch;
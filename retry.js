@@ -0,0 +1,143 @@
+/**
+ * Retry Utilities
+ *
+ * This module provides retries with exponential backoff and jitter for calls to
+ * external APIs, plus a circuit breaker that stops calling a provider that keeps failing.
+ */
+
+const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether an error is worth retrying
+ * Rate limits (429), server errors (5xx) and network failures are retryable; other client errors are not
+ */
+function isRetryableError(error) {
+  if (!error || error.code === CIRCUIT_OPEN_CODE) {
+    return false;
+  }
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+  // fetch reports network failures as TypeError and timeouts as AbortError
+  return error.name === 'TypeError' || error.name === 'AbortError';
+}
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff with full jitter)
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * exponential);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an async function, retrying retryable errors with exponential backoff
+ * A Retry-After hint on the error (error.retryAfterMs) takes precedence over the computed delay;
+ * if it asks for longer than maxDelayMs the error is thrown instead of waiting.
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    maxRetries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 20000,
+    label = 'operation'
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      error.attempts = attempt + 1;
+
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      let delay = getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      if (typeof error.retryAfterMs === 'number') {
+        if (error.retryAfterMs > maxDelayMs) {
+          console.error(`⚠️  ${label} asked to retry after ${error.retryAfterMs}ms (max ${maxDelayMs}ms), giving up`);
+          throw error;
+        }
+        delay = error.retryAfterMs;
+      }
+
+      console.log(`🔁 ${label} failed (${error.status || error.name}: ${error.message}), retrying in ${delay}ms (attempt ${attempt + 2}/${maxRetries + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * After failureThreshold consecutive retryable failures the circuit opens and every
+ * further call fails immediately with error.code === 'CIRCUIT_OPEN' until reset() is called.
+ */
+function createCircuitBreaker({ failureThreshold = 3, label = 'provider' } = {}) {
+  let consecutiveFailures = 0;
+  let open = false;
+  let lastError = null;
+
+  return {
+    async execute(fn) {
+      if (open) {
+        const error = new Error(`Circuit open: ${label} is unavailable (${lastError ? lastError.message : 'too many failures'})`);
+        error.code = CIRCUIT_OPEN_CODE;
+        throw error;
+      }
+
+      try {
+        const result = await fn();
+        consecutiveFailures = 0;
+        return result;
+      } catch (error) {
+        if (isRetryableError(error)) {
+          consecutiveFailures++;
+          lastError = error;
+          if (consecutiveFailures >= failureThreshold) {
+            open = true;
+            console.error(`🚫 Circuit opened for ${label} after ${consecutiveFailures} consecutive failures`);
+          }
+        }
+        throw error;
+      }
+    },
+    isOpen: () => open,
+    reset() {
+      consecutiveFailures = 0;
+      open = false;
+      lastError = null;
+    }
+  };
+}
+
+module.exports = {
+  CIRCUIT_OPEN_CODE,
+  parseRetryAfter,
+  isRetryableError,
+  withRetry,
+  createCircuitBreaker
+};
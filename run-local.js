@@ -155,12 +155,15 @@ async function runWithMockData() {
   // Mock fetch for OpenAI API
   global.fetch = async (url, options) => {
     if (url.includes('openai.com')) {
+      const { input } = JSON.parse(options.body);
+      const inputs = Array.isArray(input) ? input : [input];
       return {
         ok: true,
         json: () => Promise.resolve({
-          data: [{
+          data: inputs.map((text, index) => ({
+            index,
             embedding: new Array(1536).fill(0).map(() => Math.random() - 0.5)
-          }]
+          }))
         })
       };
     }
@@ -261,6 +264,9 @@ FIREBASE_PROJECT_ID=your-firebase-project-id
 # OpenAI Configuration
 OPENAI_API_KEY=sk-your-openai-api-key
 
+# Embedding Provider ('openai', 'openai-compatible' or 'local')
+EMBEDDING_PROVIDER=openai
+
 # Local Mode Configuration
 LOCAL_MODE=true
 
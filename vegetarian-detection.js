@@ -3,8 +3,17 @@
  * 
  * This module provides intelligent vegetarian detection for meals and images
  * to ensure vegetarian meals are never mapped to non-vegetarian images.
+ *
+ * Indicators are matched on word tokens rather than substrings, so "eggplant" is not
+ * egg and "chickpeas" is not chicken. Plurals match their singular form, multi-word
+ * indicators match as phrases, and negated mentions ("without egg", "no meat",
+ * "egg-free", "fish-shaped", "mock chicken") are ignored.
+ *
+ * Regional-language terms and Devanagari input are handled by diet-lexicon.js.
  */
 
+const { transliterateDevanagari, normalizeSpelling, getLexiconTerms } = require('./diet-lexicon');
+
 // Comprehensive lists of vegetarian and non-vegetarian indicators
 const VEGETARIAN_INDICATORS = [
   // Proteins
@@ -37,7 +46,7 @@ const VEGETARIAN_INDICATORS = [
   'steamed', 'boiled', 'roasted', 'grilled', 'baked', 'stir-fried', 'sautéed',
   
   // Vegetarian dish names
-  'vegetarian', 'veggie', 'vegan', 'sabzi', 'subzi', 'curry', 'masala', 'tikka',
+  'vegetarian', 'veggie', 'veg', 'vegan', 'sabzi', 'subzi', 'curry', 'masala', 'tikka',
   'biryani', 'pulao', 'fried rice', 'noodles', 'pasta', 'sandwich', 'wrap',
   'salad', 'soup', 'stew', 'gravy', 'sauce', 'chutney', 'pickle', 'raita',
   
@@ -64,7 +73,8 @@ const VEGETARIAN_INDICATORS = [
 const NON_VEGETARIAN_INDICATORS = [
   // Meat types
   'chicken', 'mutton', 'lamb', 'beef', 'pork', 'duck', 'turkey', 'goat',
-  'meat', 'flesh', 'protein', 'animal',
+  'meat', 'flesh', 'protein', 'animal', 'keema', 'kheema',
+  'ham', 'bacon', 'sausage', 'salami', 'pepperoni',
   
   // Fish and seafood
   'fish', 'salmon', 'tuna', 'prawn', 'shrimp', 'crab', 'lobster', 'oyster',
@@ -140,45 +150,367 @@ const STRONG_VEGETARIAN_INDICATORS = [
 
 const STRONG_NON_VEGETARIAN_INDICATORS = [
   'non-vegetarian', 'non veg', 'nonveg', 'nonvegetarian', 'meat',
-  'chicken', 'mutton', 'fish', 'prawn', 'egg', 'seafood', 'maas', ' anda '
+  'chicken', 'mutton', 'fish', 'prawn', 'egg', 'seafood'
 ];
 
+// Words that negate the indicator right after them ("no meat", "without any egg", "mock chicken")
+const NEGATION_PREFIXES = ['no', 'non', 'not', 'without', 'sans', 'zero', 'minus', 'mock', 'faux', 'fake', 'bina']
+  .map(normalizeSpelling);
+
+// Words that negate the indicator right before them ("egg-free", "egg-less", "fish-shaped")
+const NEGATION_SUFFIXES = ['free', 'less', 'shaped', 'shape'].map(normalizeSpelling);
+
+// Words allowed between a negation and the indicator it negates
+const NEGATION_FILLERS = ['any', 'added', 'real', 'extra'].map(normalizeSpelling);
+
+// Words that carry a negation on to the next indicator ("without onion and garlic")
+const NEGATION_CONNECTORS = ['and', 'or', 'nor', 'aur'].map(normalizeSpelling);
+
+// Diet classes, from the strictest constraint to the laxest.
+// Jain and vegan are not comparable with each other: Jain allows dairy but forbids
+// root vegetables, vegan allows root vegetables but forbids dairy.
+const DIET_CLASSES = {
+  JAIN: 'jain',
+  VEGAN: 'vegan',
+  VEG: 'veg',
+  EGG: 'egg',
+  NONVEG: 'nonveg'
+};
+
+const DIET_ORDER = [DIET_CLASSES.JAIN, DIET_CLASSES.VEGAN, DIET_CLASSES.VEG, DIET_CLASSES.EGG, DIET_CLASSES.NONVEG];
+
+// Ingredient groups each diet forbids
+const DIET_RESTRICTIONS = {
+  [DIET_CLASSES.JAIN]: ['meat', 'seafood', 'egg', 'rootVegetables'],
+  [DIET_CLASSES.VEGAN]: ['meat', 'seafood', 'egg', 'dairy'],
+  [DIET_CLASSES.VEG]: ['meat', 'seafood', 'egg'],
+  [DIET_CLASSES.EGG]: ['meat', 'seafood'],
+  [DIET_CLASSES.NONVEG]: []
+};
+
+// Compatibility matrix: DIET_COMPATIBILITY[mealDiet][imageDiet] is true when an image
+// labelled imageDiet is guaranteed to satisfy mealDiet (its restrictions cover the meal's)
+const DIET_COMPATIBILITY = DIET_ORDER.reduce((matrix, mealDiet) => {
+  matrix[mealDiet] = DIET_ORDER.reduce((row, imageDiet) => {
+    row[imageDiet] = DIET_RESTRICTIONS[mealDiet].every(group => DIET_RESTRICTIONS[imageDiet].includes(group));
+    return row;
+  }, {});
+  return matrix;
+}, {});
+
+// Ingredient indicators used to decide which restricted groups a dish contains
+const INGREDIENT_INDICATORS = {
+  meat: [
+    'chicken', 'mutton', 'lamb', 'beef', 'pork', 'duck', 'turkey', 'goat', 'meat',
+    'keema', 'kheema', 'bacon', 'ham', 'sausage', 'salami', 'pepperoni'
+  ],
+  seafood: [
+    'fish', 'salmon', 'tuna', 'prawn', 'shrimp', 'crab', 'lobster', 'oyster', 'mussel',
+    'clam', 'squid', 'octopus', 'seafood', 'sea food', 'machi'
+  ],
+  egg: ['egg', 'omelette', 'omelet', 'anda'],
+  dairy: [
+    'dairy', 'paneer', 'milk', 'curd', 'yogurt', 'yoghurt', 'dahi', 'butter', 'ghee', 'cheese',
+    'cream', 'buttermilk', 'lassi', 'malai', 'khoa', 'khoya', 'mawa', 'raita', 'kheer',
+    'rabri', 'chaas', 'shrikhand', 'basundi', 'kulfi', 'makhani'
+  ],
+  rootVegetables: [
+    'onion', 'garlic', 'potato', 'aloo', 'pyaz', 'pyaaz', 'lehsun', 'lasun', 'carrot',
+    'gajar', 'beetroot', 'radish', 'mooli', 'ginger', 'adrak', 'yam', 'suran', 'arbi',
+    'kanda', 'batata', 'shakarkandi'
+  ]
+};
+
+// Phrases that mention an indicator without containing that ingredient group
+const INGREDIENT_EXCLUSIONS = {
+  dairy: [
+    'coconut milk', 'almond milk', 'soy milk', 'oat milk', 'cashew milk', 'coconut cream',
+    'peanut butter', 'cocoa butter', 'vegan butter', 'vegan cheese', 'vegan cream'
+  ]
+};
+
+/**
+ * Reduce a token to a singular form so plurals match ("eggs" -> "egg", "tomatoes" -> "tomato")
+ */
+function singularize(token) {
+  if (token.length <= 3) return token;
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('oes')) return token.slice(0, -2);
+  if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Split text into lowercase word tokens with transliteration variants folded
+ * Devanagari is transliterated first. Any non-letter, non-digit character (spaces, hyphens,
+ * slashes, dots in URLs) separates tokens.
+ */
+function tokenize(text) {
+  return transliterateDevanagari(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(token => token.length > 0)
+    .map(normalizeSpelling);
+}
+
+/**
+ * Pre-tokenize an indicator list for phrase matching
+ * English indicators also match plurals; regional-language terms (inflect: false) only match
+ * exactly, so "maas" (meat) does not match "maa" as in "maa ki dal".
+ */
+function compileIndicators(indicators, { inflect = true } = {}) {
+  return indicators.map(indicator => {
+    const tokens = tokenize(indicator);
+    return { indicator, tokens, singulars: inflect ? tokens.map(singularize) : null };
+  });
+}
+
+/**
+ * Find every occurrence of the compiled indicators in a token list
+ * Returns { indicator, start, end } spans (end exclusive); overlapping matches are all reported.
+ */
+function findIndicatorSpans(tokens, compiled) {
+  const singulars = tokens.map(singularize);
+  const spans = [];
+  for (const { indicator, tokens: phrase, singulars: phraseSingulars } of compiled) {
+    if (phrase.length === 0) continue;
+    for (let start = 0; start + phrase.length <= tokens.length; start++) {
+      const matches = phrase.every((token, offset) =>
+        tokens[start + offset] === token ||
+        (phraseSingulars !== null && singulars[start + offset] === phraseSingulars[offset])
+      );
+      if (matches) {
+        spans.push({ indicator, start, end: start + phrase.length });
+      }
+    }
+  }
+  return spans;
+}
+
+/**
+ * Mark the token positions a negation applies to
+ * A negation covers the next non-filler token, and carries on through "and"/"or"/"nor"
+ * to the token after the connector (prefixed). A trailing "free"/"less"/"shaped" covers
+ * the token before it (suffixed).
+ */
+function findNegatedPositions(tokens) {
+  const prefixed = new Set();
+  const suffixed = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!NEGATION_PREFIXES.includes(tokens[i])) continue;
+
+    let position = i + 1;
+    while (position < tokens.length) {
+      while (position < tokens.length && NEGATION_FILLERS.includes(tokens[position])) position++;
+      if (position >= tokens.length) break;
+      prefixed.add(position);
+      if (!NEGATION_CONNECTORS.includes(tokens[position + 1])) break;
+      position += 2;
+    }
+  }
+
+  for (let i = 1; i < tokens.length; i++) {
+    if (NEGATION_SUFFIXES.includes(tokens[i])) {
+      suffixed.add(i - 1);
+    }
+  }
+
+  return { prefixed, suffixed };
+}
+
+/**
+ * Match compiled indicators against text, ignoring negated mentions
+ * A span is negated when its first token is negated ("without egg") or its last token is
+ * ("egg-free"), or when it lies inside a negated or excluded longer phrase
+ * ("without sweet potato" also negates "potato"; "coconut milk" excludes "milk").
+ * Returns the list of matched indicators (one entry per occurrence).
+ */
+function matchIndicators(text, compiled, excluded = []) {
+  const tokens = Array.isArray(text) ? text : tokenize(text);
+  const { prefixed, suffixed } = findNegatedPositions(tokens);
+  const spans = findIndicatorSpans(tokens, compiled);
+
+  const isNegated = (span) => prefixed.has(span.start) || suffixed.has(span.end - 1);
+  const blocking = spans.filter(isNegated).concat(findIndicatorSpans(tokens, excluded));
+  const isInside = (inner, outer) => inner !== outer && outer.start <= inner.start && inner.end <= outer.end;
+
+  return spans
+    .filter(span => !isNegated(span) && !blocking.some(outer => isInside(span, outer)))
+    .map(span => span.indicator);
+}
+
+/**
+ * Check whether text mentions any of the compiled indicators (negations excluded)
+ */
+function hasIndicator(text, compiled, excluded) {
+  return matchIndicators(text, compiled, excluded).length > 0;
+}
+
+/**
+ * Compile English indicators together with the lexicon terms for the given groups
+ */
+function compileWithLexicon(indicators, groups) {
+  const lexiconTerms = groups.flatMap(group => getLexiconTerms(group));
+  return compileIndicators(indicators).concat(compileIndicators(lexiconTerms, { inflect: false }));
+}
+
+// Regional meat, seafood and egg terms are as decisive as "chicken", "fish" and "egg"
+const NON_VEGETARIAN_GROUPS = ['meat', 'seafood', 'egg'];
+
+const COMPILED = {
+  vegetarian: compileWithLexicon(VEGETARIAN_INDICATORS, ['vegetarian']),
+  nonVegetarian: compileWithLexicon(NON_VEGETARIAN_INDICATORS, NON_VEGETARIAN_GROUPS),
+  strongVegetarian: compileIndicators(STRONG_VEGETARIAN_INDICATORS),
+  strongNonVegetarian: compileWithLexicon(STRONG_NON_VEGETARIAN_INDICATORS, NON_VEGETARIAN_GROUPS),
+  jain: compileIndicators(['jain']),
+  vegan: compileIndicators(['vegan']),
+  ingredients: Object.fromEntries(Object.entries(INGREDIENT_INDICATORS).map(
+    ([group, indicators]) => [group, compileWithLexicon(indicators, [group])]
+  )),
+  exclusions: Object.fromEntries(Object.entries(INGREDIENT_EXCLUSIONS).map(
+    ([group, phrases]) => [group, compileIndicators(phrases)]
+  ))
+};
+
+/**
+ * Detect which restricted ingredient groups a dish contains
+ */
+function detectIngredientFlags(text) {
+  const tokens = Array.isArray(text) ? text : tokenize(text);
+  const flags = {};
+  for (const [group, compiled] of Object.entries(COMPILED.ingredients)) {
+    flags[group] = hasIndicator(tokens, compiled, COMPILED.exclusions[group]);
+  }
+  return flags;
+}
+
+/**
+ * Check whether ingredient flags include meat, seafood or egg
+ */
+function hasNonVegetarianIngredient(flags) {
+  return NON_VEGETARIAN_GROUPS.some(group => flags[group]);
+}
+
+/**
+ * Classify a meal into a diet class based on text analysis
+ * Explicit "jain"/"vegan" mentions make a vegetarian meal Jain/vegan; otherwise vegetarian
+ * meals are 'veg', egg-only meals 'egg' and anything with meat or seafood 'nonveg'.
+ * confidence is getVegetarianConfidence() for the resulting vegetarian / non-vegetarian call.
+ */
+function classifyMealDiet(mealName, description) {
+  const text = `${mealName || ''} ${description || ''}`;
+  const flags = detectIngredientFlags(text);
+  let dietClass;
+
+  if (detectMealVegetarian(mealName, description)) {
+    if (hasIndicator(text, COMPILED.jain)) {
+      dietClass = DIET_CLASSES.JAIN;
+    } else if (hasIndicator(text, COMPILED.vegan)) {
+      dietClass = DIET_CLASSES.VEGAN;
+    } else {
+      dietClass = DIET_CLASSES.VEG;
+    }
+  } else {
+    dietClass = flags.egg && !flags.meat && !flags.seafood ? DIET_CLASSES.EGG : DIET_CLASSES.NONVEG;
+  }
+
+  const confidence = getVegetarianConfidence(text, isVegetarianClass(dietClass));
+  return { dietClass, flags, confidence };
+}
+
+/**
+ * Classify an image into a diet class based on filename and description
+ * Returns the diet class plus every diet the image is safe for (compatibleDiets).
+ * Jain and vegan need an explicit label in the text. Non-vegetarian detection stays as unforgiving as detectImageNonVegetarian.
+ */
+function classifyImageDiet(imageUrl, imageName, description) {
+  const text = `${imageUrl || ''} ${imageName || ''} ${description || ''}`;
+  const flags = detectIngredientFlags(text);
+
+  if (detectImageNonVegetarian(imageUrl, imageName, description)) {
+    // Any non-veg hint rules out every vegetarian diet; egg-only dishes still suit eggetarians
+    const dietClass = flags.egg && !flags.meat && !flags.seafood ? DIET_CLASSES.EGG : DIET_CLASSES.NONVEG;
+    const confidence = getVegetarianConfidence(text, false);
+    return { dietClass, flags, compatibleDiets: getCompatibleDietsForClass(dietClass), confidence };
+  }
+
+  let dietClass = DIET_CLASSES.VEG;
+  if (hasIndicator(text, COMPILED.jain)) {
+    dietClass = DIET_CLASSES.JAIN;
+  } else if (hasIndicator(text, COMPILED.vegan)) {
+    dietClass = DIET_CLASSES.VEGAN;
+  }
+
+  // Only an explicit label makes an image Jain or vegan: a name that doesn't mention onion or
+  // dairy (e.g. "Dal Tadka", "Aloo Paratha") says nothing about how the dish was cooked
+  const confidence = getVegetarianConfidence(text, true);
+  return { dietClass, flags, compatibleDiets: getCompatibleDietsForClass(dietClass), confidence };
+}
+
+/**
+ * List the diets an item labelled with dietClass is guaranteed to satisfy
+ */
+function getCompatibleDietsForClass(dietClass) {
+  return DIET_ORDER.filter(mealDiet => DIET_COMPATIBILITY[mealDiet][dietClass]);
+}
+
+/**
+ * Check whether a diet class excludes eggs and meat
+ */
+function isVegetarianClass(dietClass) {
+  return dietClass !== DIET_CLASSES.EGG && dietClass !== DIET_CLASSES.NONVEG;
+}
+
+/**
+ * Normalize a diet value: accepts a diet class or the legacy isVegetarian boolean
+ */
+function normalizeDietClass(diet) {
+  if (diet === true) return DIET_CLASSES.VEG;
+  if (diet === false) return DIET_CLASSES.NONVEG;
+  return DIET_ORDER.includes(diet) ? diet : DIET_CLASSES.VEG; // Default to vegetarian if uncertain
+}
+
+/**
+ * Check that an image may be shown for a meal of the given diet
+ * Never maps a stricter-diet meal to a laxer-diet image.
+ */
+function isDietCompatible(mealDiet, image) {
+  const diet = normalizeDietClass(mealDiet);
+  if (Array.isArray(image.compatibleDiets)) {
+    return image.compatibleDiets.includes(diet);
+  }
+  if (image.dietClass) {
+    return DIET_COMPATIBILITY[diet][image.dietClass] === true;
+  }
+  // Legacy images only know whether they are non-vegetarian
+  return !image.isNonVegetarian || !DIET_RESTRICTIONS[diet].includes('meat');
+}
+
 /**
  * Detect if a meal name is vegetarian based on text analysis
  */
 function detectMealVegetarian(mealName, description) {
   if (!mealName) return true; // Default to vegetarian if uncertain
   
-  const text = `${mealName} ${description || ''}`.toLowerCase();
+  const tokens = tokenize(`${mealName} ${description || ''}`);
   
-  // Check for strong indicators first
-  for (const indicator of STRONG_NON_VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      return false;
-    }
+  // Check for strong indicators first; any meat, seafood or egg ingredient is decisive too
+  if (hasIndicator(tokens, COMPILED.strongNonVegetarian)) {
+    return false;
   }
   
-  for (const indicator of STRONG_VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      return true;
-    }
+  if (hasNonVegetarianIngredient(detectIngredientFlags(tokens))) {
+    return false;
   }
   
-  // Count vegetarian vs non-vegetarian indicators
-  let vegetarianScore = 0;
-  let nonVegetarianScore = 0;
-  
-  for (const indicator of VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      vegetarianScore++;
-    }
+  if (hasIndicator(tokens, COMPILED.strongVegetarian)) {
+    return true;
   }
   
-  for (const indicator of NON_VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      nonVegetarianScore++;
-    }
-  }
+  // Count vegetarian vs non-vegetarian indicators
+  const vegetarianScore = matchIndicators(tokens, COMPILED.vegetarian).length;
+  const nonVegetarianScore = matchIndicators(tokens, COMPILED.nonVegetarian).length;
   
   // If no indicators found, default to vegetarian (safer choice)
   if (vegetarianScore === 0 && nonVegetarianScore === 0) {
@@ -195,25 +527,25 @@ function detectMealVegetarian(mealName, description) {
  */
 function detectImageNonVegetarian(imageUrl, imageName, description) {
   
-  const text = `${imageUrl} ${imageName || ''} ${description || ''}`.toLowerCase();
+  const text = `${imageUrl} ${imageName || ''} ${description || ''}`;
+  const tokens = tokenize(text);
   // Check for strong non-vegetarian indicators first - any match means non-veg
-  for (const indicator of STRONG_NON_VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      // console.log(`Strong non-veg indicator found: ${indicator}`);
-      return true;
-    }
+  if (hasIndicator(tokens, COMPILED.strongNonVegetarian)) {
+    return true;
   }
   
   // Check for any non-vegetarian indicators - any match means non-veg
-  for (const indicator of NON_VEGETARIAN_INDICATORS) {
-    if (text.includes(indicator)) {
-      // console.log(`Non-veg indicator found: ${indicator}`);
-      return true;
-    }
+  if (hasIndicator(tokens, COMPILED.nonVegetarian)) {
+    return true;
+  }
+  
+  // Any meat, seafood or egg ingredient means non-veg
+  if (hasNonVegetarianIngredient(detectIngredientFlags(tokens))) {
+    return true;
   }
   
   // If no non-vegetarian indicators found, assume vegetarian (return false)
-  console.log('No non-vegetarian indicators found, assuming vegetarian', text);
+  console.log('No non-vegetarian indicators found, assuming vegetarian', text.toLowerCase());
   return false;
 }
 
@@ -289,48 +621,38 @@ function filterImagesByVegetarianConstraint(
 
 /**
  * Get vegetarian detection confidence score
+ * Returns the share of indicator weight (0-1) that supports the given classification, or null
+ * when the text has no indicators at all (callers treat that as low confidence).
  */
 function getVegetarianConfidence(text, isVegetarian) {
-  const lowerText = text.toLowerCase();
-  let score = 0;
-  let totalIndicators = 0;
-  
-  if (isVegetarian) {
-    for (const indicator of VEGETARIAN_INDICATORS) {
-      if (lowerText.includes(indicator)) {
-        score++;
-        totalIndicators++;
-      }
-    }
-    
-    // Check for strong indicators
-    for (const indicator of STRONG_VEGETARIAN_INDICATORS) {
-      if (lowerText.includes(indicator)) {
-        score += 2; // Strong indicators get double weight
-        totalIndicators += 2;
-      }
-    }
-  } else {
-    for (const indicator of NON_VEGETARIAN_INDICATORS) {
-      if (lowerText.includes(indicator)) {
-        score++;
-        totalIndicators++;
-      }
-    }
-    
-    // Check for strong indicators
-    for (const indicator of STRONG_NON_VEGETARIAN_INDICATORS) {
-      if (lowerText.includes(indicator)) {
-        score += 2; // Strong indicators get double weight
-        totalIndicators += 2;
-      }
-    }
-  }
+  const tokens = tokenize(text);
+  
+  // Strong indicators get double weight
+  const vegetarianWeight = matchIndicators(tokens, COMPILED.vegetarian).length +
+    matchIndicators(tokens, COMPILED.strongVegetarian).length * 2;
+  const nonVegetarianWeight = matchIndicators(tokens, COMPILED.nonVegetarian).length +
+    matchIndicators(tokens, COMPILED.strongNonVegetarian).length * 2;
+  
+  const score = isVegetarian ? vegetarianWeight : nonVegetarianWeight;
+  const totalIndicators = vegetarianWeight + nonVegetarianWeight;
   
-  return totalIndicators > 0 ? score / totalIndicators : 0;
+  return totalIndicators > 0 ? score / totalIndicators : null;
 }
 
 module.exports = {
+  DIET_CLASSES,
+  DIET_ORDER,
+  DIET_RESTRICTIONS,
+  DIET_COMPATIBILITY,
+  tokenize,
+  matchIndicators,
+  detectIngredientFlags,
+  classifyMealDiet,
+  classifyImageDiet,
+  getCompatibleDietsForClass,
+  isVegetarianClass,
+  normalizeDietClass,
+  isDietCompatible,
   detectMealVegetarian,
   detectImageNonVegetarian,
   validateVegetarianConstraint,
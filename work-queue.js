@@ -0,0 +1,130 @@
+/**
+ * Meal Work Queue
+ *
+ * This module persists meals that a fetch-mode run could not get to (timeout or
+ * embedding provider outage) in a Firestore collection, so later invocations can
+ * finish them first instead of waiting for the next full scan of mealPlans.
+ *
+ * Queue documents are keyed by sanitized meal name and carry:
+ * - status: 'pending' (waiting) or 'leased' (claimed by an invocation)
+ * - leaseOwner / leaseExpiresAt: Which invocation holds the item and until when (ms since epoch)
+ * - availableAt: When the item can next be claimed (enqueue time, or lease expiry)
+ * - attempts: How many times the item has been claimed
+ *
+ * Items are deleted once processed. A lease that is never completed (e.g. the
+ * invocation crashed) expires and the item becomes claimable again.
+ */
+
+const {
+  collection, doc, getDocs, setDoc, deleteDoc, query, where, orderBy, limit,
+  runTransaction, serverTimestamp
+} = require('firebase/firestore');
+
+/**
+ * Create a work queue backed by a Firestore collection
+ */
+function createWorkQueue({ firestore, collectionName, leaseMs, toDocId }) {
+  const queueCollection = collection(firestore, collectionName);
+  const refFor = (mealName) => doc(queueCollection, toDocId(mealName));
+
+  /**
+   * Add meals to the queue (or return claimed meals to it) as pending
+   */
+  async function enqueue(meals) {
+    if (meals.length === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    await Promise.all(meals.map(meal => {
+      const { fromQueue, queueAttempts, ...mealData } = meal;
+      return setDoc(refFor(meal.name), {
+        mealName: meal.name,
+        // Firestore rejects undefined values, so store a plain JSON copy
+        meal: JSON.parse(JSON.stringify(mealData)),
+        status: 'pending',
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        availableAt: now,
+        attempts: queueAttempts || 0,
+        updatedAt: serverTimestamp()
+      });
+    }));
+
+    console.log(`📥 Queued ${meals.length} meals for a later invocation`);
+    return meals.length;
+  }
+
+  /**
+   * Claim up to maxItems available meals for this invocation
+   * Each item is claimed in its own transaction so concurrent invocations never share an item.
+   */
+  async function claim(owner, maxItems) {
+    const now = Date.now();
+    const snapshot = await getDocs(query(
+      queueCollection,
+      where('availableAt', '<=', now),
+      orderBy('availableAt', 'asc'),
+      limit(maxItems)
+    ));
+
+    const claims = await Promise.all(snapshot.docs.map(candidate =>
+      runTransaction(firestore, async (transaction) => {
+        const current = await transaction.get(candidate.ref);
+        if (!current.exists() || current.data().availableAt > now) {
+          return null; // Claimed or completed by another invocation
+        }
+
+        const data = current.data();
+        const leaseExpiresAt = now + leaseMs;
+        transaction.update(candidate.ref, {
+          status: 'leased',
+          leaseOwner: owner,
+          leaseExpiresAt,
+          availableAt: leaseExpiresAt,
+          attempts: (data.attempts || 0) + 1,
+          updatedAt: serverTimestamp()
+        });
+
+        return { ...data.meal, queueAttempts: (data.attempts || 0) + 1, fromQueue: true };
+      })
+    ));
+
+    const claimed = claims.filter(Boolean);
+    if (claimed.length > 0) {
+      console.log(`📤 Claimed ${claimed.length} queued meals (lease owner: ${owner})`);
+    }
+    return claimed;
+  }
+
+  /**
+   * List up to maxItems available meals without claiming them (used by dry runs)
+   */
+  async function peek(maxItems) {
+    const snapshot = await getDocs(query(
+      queueCollection,
+      where('availableAt', '<=', Date.now()),
+      orderBy('availableAt', 'asc'),
+      limit(maxItems)
+    ));
+    return snapshot.docs.map(queued => {
+      const data = queued.data();
+      return { ...data.meal, queueAttempts: data.attempts || 0, fromQueue: true };
+    });
+  }
+
+  /**
+   * Remove processed meals from the queue
+   */
+  async function complete(meals) {
+    const queued = meals.filter(meal => meal.fromQueue);
+    await Promise.all(queued.map(meal => deleteDoc(refFor(meal.name))));
+    return queued.length;
+  }
+
+  return { enqueue, claim, peek, complete };
+}
+
+module.exports = {
+  createWorkQueue
+};